@@ -1,35 +1,156 @@
 // ==============================================
 // CARD.JS - Project card component
 // Purpose: Reusable project card for grid display
-// Dependencies: shared/utils.js
-// Version: 1.0.0
+// Dependencies: shared/utils.js, shared/media.js, components/media.js
+// Version: 1.7.0
 // REUSABLE LOGIC: Used on landing page and related projects
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: createProjectCard
-// DEPS: shared/utils.js
+// EXPORTS: createProjectCard, formatCardTitle, createStatusBadge
+// DEPS: shared/utils.js, shared/media.js, components/media.js
 
-import { createElement, formatDate } from '../shared/utils.js';
+import { createElement } from '../shared/utils.js';
+import { IMAGE_SIZES } from '../shared/media.js';
+import { createPicture, setPlaceholder } from './media.js';
+
+// Hover shorter than this is a pass-by, not intent to open
+const INTENT_DELAY = 120;
 
 // <!-- ANCHOR: createProjectCard -->
 /**
  * Create project card element
  * @param {Object} project - Project data object
+ * @param {Object} options - Card behavior
+ * @param {string} [options.href] - Render as link to this URL
+ * @param {Function} [options.onSelect] - Click handler, gets project (e.g. open modal)
+ * @param {Function} [options.onIntent] - Called once the visitor likely opens the card (e.g. prefetch)
  * @returns {HTMLElement} Card element
  * 
  * LOGIC: Generates a card DOM element from project data.
- * Includes thumbnail, title, description, tags, and link.
+ * Includes thumbnail, title with bullet, and year.
+ * Title text sits in its own span so search can highlight it.
+ * Unpublished projects (preview mode only) get a DRAFT badge.
+ * Modal cards are role="button" (Tab + Enter/Space), their
+ * accessible name is the title text - thumbnail alt is empty so
+ * the title isn't read twice. Thumbnail is a <picture> with the
+ * AVIF/WebP variants of its image (scripts/build-images.mjs) over
+ * its blur-up placeholder. Intent = mouse resting on the card for
+ * INTENT_DELAY, keyboard focus, or touch/pen press (fires before click).
  * 
  * REUSED: Landing page grid + Related projects section
  */
-export function createProjectCard(project) {
-    // TODO: Implement card creation
-    const card = createElement('div', { className: 'card project-card' }, [
-        createElement('h3', {}, project.title)
+export function createProjectCard(project, options = {}) {
+    const { href = null, onSelect = null, onIntent = null } = options;
+    
+    // <a> when card navigates, div when it opens the modal
+    const card = createElement(href ? 'a' : 'div', {
+        className: 'project-card',
+        'data-project-id': project.id,
+        'data-cursor': 'view', // components/cursor.js: grows and shows "Смотреть"
+        ...(href ? { href } : {})
+    }, [
+        createThumbnail(project),
+        createElement('div', { className: 'project-card__title text-nav' }, [
+            createElement('span', { className: 'project-card__title-text' }, formatCardTitle(project))
+        ])
     ]);
     
+    const badge = createStatusBadge(project);
+    
+    if (badge) {
+        card.querySelector('.project-card__image').appendChild(badge);
+    }
+    
+    if (onSelect) {
+        card.addEventListener('click', () => onSelect(project));
+    }
+    
+    if (onIntent) {
+        let intentTimer = null;
+        
+        card.addEventListener('pointerenter', event => {
+            if (event.pointerType === 'mouse') {
+                intentTimer = setTimeout(() => onIntent(project), INTENT_DELAY);
+            }
+        });
+        card.addEventListener('pointerleave', () => clearTimeout(intentTimer));
+        card.addEventListener('pointerdown', () => onIntent(project));
+        card.addEventListener('focus', () => onIntent(project));
+    }
+    
+    // div card: make it a keyboard-operable button that opens a dialog
+    if (onSelect && !href) {
+        card.setAttribute('role', 'button');
+        card.setAttribute('aria-haspopup', 'dialog');
+        card.tabIndex = 0;
+        
+        card.addEventListener('keydown', event => {
+            // Held key repeats keydown - open once
+            if ((event.key !== 'Enter' && event.key !== ' ') || event.repeat) {
+                return;
+            }
+            
+            event.preventDefault(); // Space would scroll the page
+            onSelect(project);
+        });
+    }
+    
     return card;
 }
 
+// <!-- ANCHOR: createThumbnail -->
+/**
+ * Create card thumbnail
+ * @param {Object} project - Project with thumbnail and images [{ src, width, height, sources, placeholder }]
+ * @returns {HTMLElement} .project-card__image frame (16:9, cover)
+ * 
+ * LOGIC: Variants and placeholder come from the images entry of the
+ * thumbnail file; a custom thumbnail outside the image list stays a
+ * plain img that fades in over the grey frame.
+ */
+function createThumbnail(project) {
+    const image = (project.images || []).find(item => item.src === project.thumbnail) || { src: project.thumbnail };
+    
+    const frame = createElement('div', { className: 'project-card__image' }, [
+        createPicture(image, {
+            alt: '', // Decorative - title below names the card
+            sizes: IMAGE_SIZES.card
+        })
+    ]);
+    
+    setPlaceholder(frame, image);
+    return frame;
+}
+
+// <!-- ANCHOR: formatCardTitle -->
+/**
+ * Format card title
+ * @param {Object} project - Project data object
+ * @returns {string} "Title (Year)"
+ */
+export function formatCardTitle(project) {
+    return `${project.title} (${project.year})`;
+}
+
+// <!-- ANCHOR: createStatusBadge -->
+/**
+ * Create DRAFT badge for unpublished project
+ * @param {Object} project - Project with status from loadProjects()
+ * @returns {HTMLElement|null} Badge or null if published
+ * 
+ * LOGIC: Scheduled projects show their publish date in the badge.
+ * 
+ * REUSED: Cards, modal, project page
+ */
+export function createStatusBadge(project) {
+    if (!project.status || project.status === 'published') {
+        return null;
+    }
+    
+    const text = project.status === 'scheduled' ? `DRAFT · ${project.publishAt}` : 'DRAFT';
+    
+    return createElement('span', { className: 'status-badge text-nav' }, text);
+}
+
 // UPDATED COMMENTS
@@ -0,0 +1,31 @@
+// ==============================================
+// CASE-STUDY.JS - Rendered project.md article
+// Purpose: Wrap renderMarkdown output in a styled article
+// Dependencies: None
+// Version: 1.0.0
+// REUSABLE LOGIC: Used by project modal and project page
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: createCaseStudy
+// DEPS: none (html comes from shared/markdown.js renderMarkdown)
+
+// <!-- ANCHOR: createCaseStudy -->
+/**
+ * Create case study article element
+ * @param {string} html - Rendered markdown (safe HTML from renderMarkdown)
+ * @param {string} className - Block class, e.g. 'project-modal__content'
+ * @returns {HTMLElement} Article element
+ * 
+ * WHY innerHTML: renderMarkdown escapes all text and filters URLs,
+ * so its output is safe to insert.
+ */
+export function createCaseStudy(html, className) {
+    const article = document.createElement('article');
+    article.className = `${className} markdown`;
+    article.innerHTML = html;
+    
+    return article;
+}
+
+// UPDATED COMMENTS
@@ -1,28 +1,59 @@
 // ==============================================
 // CURSOR.JS - Custom cursor component
-// Purpose: Implement custom animated cursor with circle and dot
+// Purpose: Implement custom animated cursor with circle, dot and content-aware states
 // Dependencies: None (vanilla JS)
-// Version: 1.0.0
+// Version: 2.1.0
 // ==============================================
 
 // ## ANCHOR POINTS
 // ENTRY: BigCircle class initialization
-// MAIN: Custom cursor with invert effect
-// EXPORTS: BigCircle class, initCursor function
+// MAIN: Custom cursor with invert effect, data-cursor states
+// EXPORTS: BigCircle class, initCursor function, CURSOR_STATES, FINE_POINTER_QUERY
+
+// <!-- ANCHOR: CURSOR_STATES -->
+/**
+ * Cursor states - picked by data-cursor="<name>" on the hovered element or its ancestors
+ * 
+ * size: circle diameter in px, or [width, height] for non-round shapes
+ * color: circle fill (null = invert effect), textColor: label color
+ * label / icon: text shown in the circle (data-cursor-label overrides label)
+ * dot: show the precise dot (default true)
+ * 
+ * REUSABLE LOGIC: initCursor({ states }) overrides or adds states
+ */
+export const CURSOR_STATES = {
+    default: { size: 100 },
+    pointer: { size: 200 }, // Buttons and other clickables without data-cursor
+    view: { size: 120, color: '#fff', textColor: '#000', label: 'Смотреть', dot: false },
+    link: { size: 64, color: '#fff', textColor: '#000', icon: '↗', dot: false },
+    drag: { size: 120, color: '#fff', textColor: '#000', label: '← →', dot: false },
+    hidden: { size: 0, dot: false },
+    text: { size: [4, 32], dot: false } // Caret
+};
+
+// State change animation - position itself follows in 100ms
+const STATE_TRANSITION = 300;
+
+// Custom cursor only for a precise pointer that can hover (mouse, trackpad)
+export const FINE_POINTER_QUERY = '(pointer: fine) and (hover: hover)';
+
+// On <html> while the custom cursor is active - CSS hides the system cursor
+const ACTIVE_CLASS = 'has-custom-cursor';
 
 // <!-- ANCHOR: BigCircle -->
 /**
  * BigCircle - Custom cursor implementation
  * 
- * Creates a custom cursor with two elements:
+ * Creates a custom cursor with three elements:
  * - Large circle with backdrop-filter invert effect
  * - Small dot that follows mouse precisely
+ * - Label in the circle center (state text / icon)
  * 
  * Features:
  * - Smooth animations with CSS transitions
- * - Hover effect on interactive elements (buttons, links)
+ * - Declarative states via data-cursor attributes (view, link, drag, hidden, text)
  * - Click animation
- * - Mobile detection (removes cursor on touch devices)
+ * - Hidden while the pointer is outside the window or on touch/pen input
  * - Fallback for browsers without backdrop-filter support
  * 
  * SCALED FOR: All screen sizes, 60fps animations
@@ -33,13 +64,15 @@ class BigCircle {
      * Initialize cursor component
      * 
      * @constructor
+     * @param {Object} options - Cursor options
+     * @param {Object} [options.states] - State overrides merged into CURSOR_STATES
      * Sets up cursor elements, styles, and feature detection
      * 
      * LOGIC: Creates two cursor elements (circle + dot) with
      * backdrop-filter invert effect for visual interest.
      * Falls back to solid colors if backdrop-filter unsupported.
      */
-    constructor() {
+    constructor(options = {}) {
         // Root element reference
         this.root = document.body;
         
@@ -47,6 +80,7 @@ class BigCircle {
         this.cursor = document.querySelector(".curzr");
         this.circle = document.querySelector(".curzr .circle");
         this.dot = document.querySelector(".curzr .dot");
+        this.label = document.querySelector(".curzr .label") || this.createLabel();
         
         // Mouse position tracking
         this.pointerX = 0;
@@ -55,6 +89,18 @@ class BigCircle {
         // Cursor size configuration
         this.cursorSize = 100; // Large circle diameter in pixels
         
+        // State configuration - per-state overrides keep the other defaults
+        this.states = { ...CURSOR_STATES };
+        
+        Object.entries(options.states || {}).forEach(([name, state]) => {
+            this.states[name] = { ...CURSOR_STATES[name], ...state };
+        });
+        
+        // Current state and the element it came from
+        this.state = null;
+        this.stateElement = null;
+        this.scale = [1, 1];
+        
         // Circle styles - large outer cursor
         this.circleStyle = {
             boxSizing: 'border-box',
@@ -66,7 +112,8 @@ class BigCircle {
             height: `${this.cursorSize}px`,
             backgroundColor: '#fff0', // Transparent by default
             borderRadius: '50%', // Perfect circle
-            transition: '500ms, transform 100ms', // Smooth movement
+            // Size/color animate between states, position stays snappy
+            transition: `${STATE_TRANSITION}ms, translate 100ms`,
             userSelect: 'none',
             pointerEvents: 'none' // Don't interfere with clicks
         };
@@ -82,7 +129,20 @@ class BigCircle {
             borderRadius: '50%',
             userSelect: 'none',
             pointerEvents: 'none',
-            transition: '250ms, transform 75ms' // Faster than circle
+            transition: '250ms, translate 75ms' // Faster than circle
+        };
+        
+        // Label styles - centered on cursor, not scaled with the circle
+        this.labelStyle = {
+            position: 'fixed',
+            top: '0',
+            left: '0',
+            zIndex: '2147483647',
+            whiteSpace: 'nowrap',
+            opacity: '0',
+            userSelect: 'none',
+            pointerEvents: 'none',
+            transition: `opacity ${STATE_TRANSITION}ms, color ${STATE_TRANSITION}ms, translate 100ms`
         };
         
         // Feature detection: Check if backdrop-filter is supported
@@ -101,9 +161,15 @@ class BigCircle {
             this.dotStyle.opacity = '0.75';
         }
         
+        // States without color return to this
+        this.circleColor = this.circleStyle.backgroundColor;
+        this.dotOpacity = this.dotStyle.opacity || '1';
+        
         // Apply styles and show cursor
         this.init(this.circle, this.circleStyle);
         this.init(this.dot, this.dotStyle);
+        this.init(this.label, this.labelStyle);
+        this.setState('default', null);
     }
     
     // <!-- ANCHOR: init -->
@@ -113,12 +179,25 @@ class BigCircle {
      * @param {HTMLElement} el - Element to style
      * @param {Object} style - Style object to apply
      * 
-     * LOGIC: Applies all styles at once using Object.assign
-     * and removes hidden attribute to show cursor
+     * LOGIC: Applies all styles at once using Object.assign.
+     * Cursor stays hidden until the first mouse move (show()) -
+     * no circle parked in the top left corner.
      */
     init(el, style) {
         Object.assign(el.style, style);
-        this.cursor.removeAttribute("hidden");
+    }
+    
+    // <!-- ANCHOR: createLabel -->
+    /**
+     * Create label element for pages with old cursor markup
+     * 
+     * @returns {HTMLElement} .label inside .curzr
+     */
+    createLabel() {
+        const label = document.createElement('div');
+        label.className = 'label text-nav-small';
+        this.cursor.appendChild(label);
+        return label;
     }
     
     // <!-- ANCHOR: move -->
@@ -127,117 +206,231 @@ class BigCircle {
      * 
      * @param {MouseEvent} event - Mouse event with position data
      * 
-     * LOGIC: Updates both circle and dot positions using transform3d
-     * for GPU acceleration. Uses clientY instead of pageY to work
+     * LOGIC: Updates circle, dot and label positions using the
+     * translate property (GPU accelerated, independent from the
+     * state scale). Uses clientY instead of pageY to work
      * correctly when body has position:fixed (modal open).
+     * State is resolved again only when the target changes.
      * 
-     * WHY transform3d: Better performance than top/left positioning
+     * WHY translate: Better performance than top/left positioning
      * WHY clientY: Works correctly with fixed body position
-     * WHY closest check: Detects hover on children of clickable elements
      */
     move(event) {
+        this.show();
+        
         // Update position tracking - use clientY for fixed body compatibility
         this.pointerX = event.clientX;
         this.pointerY = event.clientY;
         
         // Move circle (centered on cursor)
-        this.circle.style.transform = `translate3d(${this.pointerX}px, ${this.pointerY}px, 0)`;
-        
-        // Move dot (centered with calc for precision)
-        this.dot.style.transform = `translate3d(calc(-50% + ${this.pointerX}px), calc(-50% + ${this.pointerY}px), 0)`;
-        
-        // Check if hovering over interactive element or its children
-        // WHY: Provides visual feedback for clickable elements
-        // UPDATED: Now checks parent elements too using closest()
-        if (
-            event.target.localName === 'button' || 
-            event.target.localName === 'a' || 
-            event.target.onclick !== null ||
-            event.target.className.includes('curzr-hover') ||
-            event.target.closest('a') !== null || // Check if inside <a> tag
-            event.target.closest('button') !== null || // Check if inside <button> tag
-            event.target.closest('.project-card') !== null || // Check if inside project card
-            event.target.classList.contains('project-card') // Check if IS project card
-        ) {
-            this.hover();
+        this.circle.style.translate = `${this.pointerX}px ${this.pointerY}px`;
+        
+        // Move dot and label (centered with calc for precision)
+        this.dot.style.translate = `calc(-50% + ${this.pointerX}px) calc(-50% + ${this.pointerY}px)`;
+        this.label.style.translate = `calc(-50% + ${this.pointerX}px) calc(-50% + ${this.pointerY}px)`;
+        
+        if (event.target !== this.target) {
+            this.target = event.target;
+            this.hover(event.target);
         }
     }
     
     // <!-- ANCHOR: hover -->
     /**
-     * Apply hover effect (scale up circle)
+     * Pick state for the hovered element
+     * 
+     * @param {EventTarget} target - Element under the pointer
+     * 
+     * LOGIC: Nearest data-cursor ancestor wins (unknown names are
+     * ignored). Without one: links = link, other clickables
+     * (button, role="button", onclick, .curzr-hover) = pointer,
+     * text fields = text, everything else = default.
+     * 
+     * UPDATED: Replaces the hardcoded a/button/.project-card 2x scale
+     */
+    hover(target) {
+        if (!(target instanceof Element)) {
+            this.setState('default', null);
+            return;
+        }
+        
+        const declared = target.closest('[data-cursor]');
+        
+        if (declared && this.states[declared.dataset.cursor]) {
+            this.setState(declared.dataset.cursor, declared);
+        } else if (target.closest('a[href]')) {
+            this.setState('link', target.closest('a[href]'));
+        } else if (target.closest('button, [role="button"], .curzr-hover') || target.onclick !== null) {
+            this.setState('pointer', null);
+        } else if (target.closest('input, textarea, [contenteditable="true"]')) {
+            this.setState('text', null);
+        } else {
+            this.setState('default', null);
+        }
+    }
+    
+    // <!-- ANCHOR: setState -->
+    /**
+     * Apply a cursor state
      * 
-     * LOGIC: Scales circle to 4.5x size when hovering
-     * over interactive elements for strong visual feedback
+     * @param {string} name - Key of this.states
+     * @param {HTMLElement|null} element - Element that declared it (data-cursor-label source)
      * 
-     * UPDATED: Changed from 1.5x to 4.5x (3x stronger)
+     * LOGIC: Circle size is a scale of cursorSize (separate scale
+     * property - position keeps its own fast transition), color and
+     * label fade through the circle transition.
      */
-    hover() {
-        this.circle.style.transform += ` scale(2)`;
+    setState(name, element) {
+        const label = element?.dataset.cursorLabel;
+        
+        if (name === this.state && element === this.stateElement) {
+            return;
+        }
+        
+        const state = this.states[name];
+        const [width, height] = Array.isArray(state.size) ? state.size : [state.size, state.size];
+        const text = [state.icon, label ?? state.label].filter(Boolean).join(' ');
+        
+        this.state = name;
+        this.stateElement = element;
+        this.scale = [width / this.cursorSize, height / this.cursorSize];
+        
+        this.circle.style.scale = this.scale.join(' ');
+        this.circle.style.backgroundColor = state.color || this.circleColor;
+        this.dot.style.opacity = state.dot === false ? '0' : this.dotOpacity;
+        this.label.style.color = state.textColor || '#fff';
+        this.label.style.opacity = text ? '1' : '0';
+        
+        // Keep old text while fading out
+        if (text) {
+            this.label.textContent = text;
+        }
     }
     
     // <!-- ANCHOR: click -->
     /**
      * Apply click animation (scale down briefly)
      * 
-     * LOGIC: Scales circle down to 0.75x on click,
-     * then removes scale after 35ms for quick feedback
+     * LOGIC: Scales circle down to 0.75x of its state size on
+     * click, then restores it after 35ms for quick feedback
      * 
      * WHY 35ms: Fast enough to feel responsive but visible
      */
     click() {
-        this.circle.style.transform += ` scale(0.75)`;
+        this.circle.style.scale = this.scale.map(value => value * 0.75).join(' ');
         
         // Remove scale after animation
         setTimeout(() => {
-            this.circle.style.transform = this.circle.style.transform.replace(` scale(0.75)`, '');
+            this.circle.style.scale = this.scale.join(' ');
         }, 35);
     }
     
+    // <!-- ANCHOR: show -->
+    /**
+     * Show cursor elements
+     */
+    show() {
+        this.cursor.hidden = false;
+    }
+    
+    // <!-- ANCHOR: hide -->
+    /**
+     * Hide cursor elements (pointer left the window, touch input)
+     * 
+     * LOGIC: Target is forgotten - state is resolved again on the
+     * next move, the page may have changed meanwhile.
+     */
+    hide() {
+        this.cursor.hidden = true;
+        this.target = null;
+    }
+    
     // <!-- ANCHOR: remove -->
     /**
      * Remove cursor elements from DOM
      * 
-     * LOGIC: Called on mobile devices to remove
-     * custom cursor since they use touch input
+     * LOGIC: Called by destroy() - removes the .curzr container
+     * with circle, dot and label
      */
     remove() {
-        this.circle.remove();
-        this.dot.remove();
+        this.cursor.remove();
     }
 }
 
 // <!-- ANCHOR: initCursor -->
 /**
- * Initialize custom cursor (IIFE)
+ * Initialize custom cursor
  * 
- * @returns {void}
+ * @param {Object} options - Passed to BigCircle, e.g. { states: { view: { label: 'Open' } } }
+ * @returns {Object} { destroy } - removes every listener, the elements and the <html> class
  * 
- * LOGIC: Creates cursor instance and sets up event listeners.
- * Detects mobile devices and removes cursor on touch devices.
+ * LOGIC: FINE_POINTER_QUERY decides, not the user agent: matches
+ * = listeners on + system cursor hidden, no match = listeners off
+ * + system cursor back. The query is watched, so a hybrid device
+ * (tablet mode, mouse plugged in) switches live. While active:
+ * pointermove from touch/pen hides the custom cursor, leaving the
+ * window hides it, the next mouse move shows it again.
  * 
- * WHY IIFE: Executes immediately and keeps cursor instance private
+ * WHY addEventListener: document.onmousemove / onclick would
+ * overwrite other handlers (and be overwritten). One
+ * AbortController per active period removes them all at once.
  * 
  * REUSABLE LOGIC: Can be called from main.js
  */
-export function initCursor() {
-    const cursor = new BigCircle();
+export function initCursor(options = {}) {
+    const cursor = new BigCircle(options);
+    const query = window.matchMedia(FINE_POINTER_QUERY);
     
-    // Mobile detection regex
-    // WHY: Touch devices don't need custom cursor
-    if (!/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)) {
-        // Desktop: Setup mouse event listeners
-        document.onmousemove = function (event) {
-            cursor.move(event);
-        };
+    // Aborted when the cursor is switched off or destroyed
+    let listeners = null;
+    
+    const enable = () => {
+        if (listeners) {
+            return;
+        }
         
-        document.onclick = function () {
-            cursor.click();
-        };
-    } else {
-        // Mobile: Remove cursor elements
-        cursor.remove();
-    }
+        listeners = new AbortController();
+        const { signal } = listeners;
+        
+        document.addEventListener('pointermove', event => {
+            if (event.pointerType === 'mouse') {
+                cursor.move(event);
+            } else {
+                cursor.hide(); // Finger or pen on a device that also has a mouse
+            }
+        }, { signal, passive: true });
+        
+        document.addEventListener('click', () => cursor.click(), { signal });
+        
+        // relatedTarget null = pointer went outside the window
+        document.addEventListener('mouseout', event => {
+            if (!event.relatedTarget) {
+                cursor.hide();
+            }
+        }, { signal });
+        
+        document.documentElement.classList.add(ACTIVE_CLASS);
+    };
+    
+    const disable = () => {
+        listeners?.abort();
+        listeners = null;
+        cursor.hide();
+        document.documentElement.classList.remove(ACTIVE_CLASS);
+    };
+    
+    const update = () => (query.matches ? enable() : disable());
+    
+    query.addEventListener('change', update);
+    update();
+    
+    return {
+        destroy() {
+            query.removeEventListener('change', update);
+            disable();
+            cursor.remove();
+        }
+    };
 }
 
 // UPDATED COMMENTS
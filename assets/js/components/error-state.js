@@ -0,0 +1,84 @@
+// ==============================================
+// ERROR-STATE.JS - Failed content placeholder
+// Purpose: Tell visitor what went wrong and offer retry
+// Dependencies: shared/request.js, shared/cache.js, shared/utils.js
+// Version: 1.1.0
+// REUSABLE LOGIC: Used by landing grid, footer links, project modal
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: createErrorState
+// DEPS: shared/request.js, shared/cache.js, shared/utils.js
+
+import { ERROR_TYPES } from '../shared/request.js';
+import { invalidate } from '../shared/cache.js';
+import { createElement } from '../shared/utils.js';
+
+// Visitor-facing text per error type
+const MESSAGES = {
+    [ERROR_TYPES.notFound]: 'Запрошенный материал не найден',
+    [ERROR_TYPES.network]: 'Не удалось загрузить. Проверьте соединение',
+    [ERROR_TYPES.parse]: 'Контент повреждён и не может быть показан',
+    [ERROR_TYPES.timeout]: 'Сервер долго не отвечает'
+};
+
+// <!-- ANCHOR: createErrorState -->
+/**
+ * Create error state block
+ * @param {ApiError} error - Typed error (plain Error = network)
+ * @param {Object} options - Block options
+ * @param {Function} [options.onRetry] - Called on retry click, omit = no button
+ * @param {string} [options.message] - Override default text for error type
+ * @param {string} [options.modifier] - BEM modifier, e.g. 'dark' for modal
+ * @returns {HTMLElement} Error state element
+ * 
+ * LOGIC: Text comes from error type. Retry button is shown for
+ * every type except not-found. Before a parse or network retry
+ * the stored copy of error.url is dropped - the cache serves it
+ * without revalidating again in this page load, so a retry would
+ * fail the same way. Then a content redeploy while the page is
+ * open is picked up.
+ * 
+ * WHY: Blank section looks like a bug, visitor can't tell if
+ * waiting helps.
+ */
+export function createErrorState(error, options = {}) {
+    const { onRetry = null, message = '', modifier = '' } = options;
+    const type = error?.type || ERROR_TYPES.network;
+    const children = [
+        createElement('p', { className: 'error-state__message' }, message || MESSAGES[type] || MESSAGES[ERROR_TYPES.network])
+    ];
+    
+    if (onRetry && type !== ERROR_TYPES.notFound) {
+        const button = createElement('button', {
+            className: 'error-state__retry text-nav',
+            type: 'button'
+        }, 'Повторить');
+        
+        button.addEventListener('click', () => {
+            // Block double clicks while retry is running
+            button.disabled = true;
+            
+            // Broken or half-stored copy - next load goes to network
+            if (error?.url && (type === ERROR_TYPES.parse || type === ERROR_TYPES.network)) {
+                invalidate(error.url);
+            }
+            
+            onRetry();
+        });
+        
+        children.push(button);
+    }
+    
+    const block = createElement('div', {
+        className: `error-state${modifier ? ` error-state--${modifier}` : ''}`,
+        'data-error-type': type
+    }, children);
+    
+    // Announce to screen readers - content appeared instead of expected section
+    block.setAttribute('role', 'alert');
+    
+    return block;
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,356 @@
+// ==============================================
+// LIGHTBOX.JS - Full-size image viewer over a gallery
+// Purpose: Zoom (wheel, double-click, pinch), pan, swipe/arrow navigation, fullscreen
+// Dependencies: None (Pointer Events, Fullscreen API)
+// Version: 1.1.0
+// REUSABLE LOGIC: Works on any container rendered by components/media.js with { zoomable: true }
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: initLightbox
+// DEPS: None
+
+// Zoom limits and steps
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const DOUBLE_CLICK_SCALE = 2.5;
+const KEY_ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_SPEED = 0.002; // scale factor per wheel pixel
+
+// Horizontal drag (at scale 1) that counts as a swipe, px
+const SWIPE_DISTANCE = 50;
+
+// <!-- ANCHOR: initLightbox -->
+/**
+ * Attach lightbox to a gallery container
+ * @param {HTMLElement} container - Gallery with .media-item__zoom buttons (e.g. #modal-gallery)
+ * @param {Object} options - Lightbox options
+ * @param {HTMLElement} options.root - Element the lightbox is appended to (default: document.body)
+ * @param {HTMLElement} options.scroller - Scrolling element restored on close (default: root)
+ * @returns {Object} { open(index), close(), isOpen() }
+ *
+ * LOGIC: One delegated click listener - gallery content can be
+ * re-rendered freely. Image list is read from the container on
+ * open, so it always matches what is on screen. While open, the
+ * other children of root are inert (nested modal dialog). Close
+ * restores the scroller position and focuses the clicked image.
+ *
+ * WHY: UI screenshots are unreadable at container width - the
+ * lightbox shows them at full resolution with zoom and pan.
+ */
+export function initLightbox(container, options = {}) {
+    const root = options.root || document.body;
+    const scroller = options.scroller || root;
+    const elements = createLightboxElements();
+
+    let items = [];
+    let index = 0;
+    let trigger = null;
+    let savedScrollTop = 0;
+    let inertSiblings = [];
+
+    // Zoom/pan state: transform = translate(x, y) scale(scale), origin = image center
+    const view = { scale: 1, x: 0, y: 0 };
+
+    // Active pointers for pan, swipe and pinch: id -> { x, y }
+    const pointers = new Map();
+    let gesture = null;
+    let dragged = false; // Pan/swipe ended - the following click is not a "close" click
+
+    root.appendChild(elements.lightbox);
+
+    // Read image list from the gallery as rendered now
+    const open = (startIndex = 0, openedBy = null) => {
+        items = [...container.querySelectorAll('.media-item__zoom img')].map(img => ({
+            src: img.src, // Original file - the gallery may show a smaller srcset candidate
+            alt: img.alt,
+            caption: img.closest('figure')?.querySelector('figcaption')?.textContent || ''
+        }));
+
+        if (items.length === 0) {
+            return;
+        }
+
+        trigger = openedBy;
+        savedScrollTop = scroller.scrollTop;
+
+        // Nested dialog - everything else in root is out of reach
+        inertSiblings = [...root.children].filter(element => element !== elements.lightbox && !element.inert);
+        inertSiblings.forEach(element => {
+            element.inert = true;
+        });
+
+        elements.lightbox.hidden = false;
+        elements.fullscreen.hidden = !document.fullscreenEnabled;
+        show(startIndex);
+        elements.close.focus({ preventScroll: true });
+    };
+
+    // Also called by the modal when it closes underneath
+    const close = () => {
+        if (elements.lightbox.hidden) {
+            return;
+        }
+
+        if (document.fullscreenElement === elements.lightbox) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        elements.lightbox.hidden = true;
+        elements.image.removeAttribute('src');
+        pointers.clear();
+        gesture = null;
+
+        inertSiblings.forEach(element => {
+            element.inert = false;
+        });
+        inertSiblings = [];
+
+        // Same place in the gallery as before opening
+        scroller.scrollTop = savedScrollTop;
+
+        if (trigger?.isConnected) {
+            trigger.focus({ preventScroll: true });
+        }
+
+        trigger = null;
+    };
+
+    const show = nextIndex => {
+        // Wrap around - last image -> first
+        index = (nextIndex + items.length) % items.length;
+
+        const item = items[index];
+        elements.image.src = item.src;
+        elements.image.alt = item.alt;
+        elements.caption.textContent = item.caption;
+        elements.caption.hidden = !item.caption;
+        elements.counter.textContent = `${index + 1} / ${items.length}`;
+        elements.previous.hidden = items.length < 2;
+        elements.next.hidden = items.length < 2;
+
+        setView(1, 0, 0);
+    };
+
+    // Scale and pan are clamped here - every input goes through it
+    const setView = (scale, x, y) => {
+        view.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+        // Keep image edges from moving inside the stage
+        const maxX = Math.max(0, (elements.image.offsetWidth * view.scale - elements.stage.clientWidth) / 2);
+        const maxY = Math.max(0, (elements.image.offsetHeight * view.scale - elements.stage.clientHeight) / 2);
+
+        view.x = view.scale === 1 ? 0 : Math.min(maxX, Math.max(-maxX, x));
+        view.y = view.scale === 1 ? 0 : Math.min(maxY, Math.max(-maxY, y));
+
+        elements.image.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        elements.lightbox.classList.toggle('lightbox--zoomed', view.scale > 1);
+    };
+
+    // Zoom keeping the point under the cursor in place (no point = stage center)
+    const zoomAt = (scale, clientX, clientY) => {
+        const rect = elements.stage.getBoundingClientRect();
+        const px = clientX === undefined ? 0 : clientX - (rect.left + rect.width / 2);
+        const py = clientY === undefined ? 0 : clientY - (rect.top + rect.height / 2);
+        const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+        const ratio = next / view.scale;
+
+        setView(next, px - (px - view.x) * ratio, py - (py - view.y) * ratio);
+    };
+
+    const toggleFullscreen = () => {
+        const request = document.fullscreenElement
+            ? document.exitFullscreen()
+            : elements.lightbox.requestFullscreen();
+
+        request.catch(error => console.warn('Fullscreen not available:', error));
+    };
+
+    // Open from gallery - delegated, gallery is re-rendered per project
+    container.addEventListener('click', event => {
+        const button = event.target.closest('.media-item__zoom');
+
+        if (!button || !container.contains(button)) {
+            return;
+        }
+
+        const buttons = [...container.querySelectorAll('.media-item__zoom')];
+        open(buttons.indexOf(button), button);
+    });
+
+    elements.close.addEventListener('click', close);
+    elements.previous.addEventListener('click', () => show(index - 1));
+    elements.next.addEventListener('click', () => show(index + 1));
+    elements.fullscreen.addEventListener('click', toggleFullscreen);
+
+    document.addEventListener('fullscreenchange', () => {
+        const active = document.fullscreenElement === elements.lightbox;
+        elements.fullscreen.setAttribute('aria-label', active ? 'Выйти из полноэкранного режима' : 'Во весь экран');
+        setView(view.scale, view.x, view.y); // Stage size changed
+    });
+
+    // Keys are handled here and stopped - ESC must not close the modal underneath
+    elements.lightbox.addEventListener('keydown', event => {
+        const actions = {
+            Escape: close,
+            ArrowLeft: () => show(index - 1),
+            ArrowRight: () => show(index + 1),
+            '+': () => zoomAt(view.scale * KEY_ZOOM_STEP),
+            '=': () => zoomAt(view.scale * KEY_ZOOM_STEP),
+            '-': () => zoomAt(view.scale / KEY_ZOOM_STEP),
+            0: () => setView(1, 0, 0),
+            f: toggleFullscreen
+        };
+        const action = actions[event.key];
+
+        if (!action) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        action();
+    });
+
+    // Wheel zoom - passive: false, page must not scroll behind
+    elements.stage.addEventListener('wheel', event => {
+        event.preventDefault();
+        zoomAt(view.scale * Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED), event.clientX, event.clientY);
+    }, { passive: false });
+
+    elements.stage.addEventListener('dblclick', event => {
+        zoomAt(view.scale > 1 ? 1 : DOUBLE_CLICK_SCALE, event.clientX, event.clientY);
+    });
+
+    // Pointer gestures: 1 pointer = pan (zoomed) or swipe, 2 pointers = pinch
+    elements.stage.addEventListener('pointerdown', event => {
+        if (event.target !== elements.image && event.target !== elements.stage) {
+            return;
+        }
+
+        elements.stage.setPointerCapture(event.pointerId);
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        gesture = createGesture(pointers, view);
+        dragged = false;
+    });
+
+    elements.stage.addEventListener('pointermove', event => {
+        if (!pointers.has(event.pointerId) || !gesture) {
+            return;
+        }
+
+        pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const [first, second] = [...pointers.values()];
+        dragged = dragged || Math.hypot(first.x - gesture.center.x, first.y - gesture.center.y) > 5;
+
+        if (second) {
+            // Pinch: scale by finger distance change around the start midpoint
+            const distance = Math.hypot(second.x - first.x, second.y - first.y);
+            const scale = gesture.view.scale * (distance / gesture.distance);
+            const ratio = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale)) / gesture.view.scale;
+            const rect = elements.stage.getBoundingClientRect();
+            const px = gesture.center.x - (rect.left + rect.width / 2);
+            const py = gesture.center.y - (rect.top + rect.height / 2);
+
+            setView(scale, px - (px - gesture.view.x) * ratio, py - (py - gesture.view.y) * ratio);
+        } else if (gesture.view.scale > 1) {
+            setView(view.scale, gesture.view.x + first.x - gesture.center.x, gesture.view.y + first.y - gesture.center.y);
+        }
+    });
+
+    const endPointer = event => {
+        if (!pointers.has(event.pointerId)) {
+            return;
+        }
+
+        const point = pointers.get(event.pointerId);
+        const dx = point.x - gesture.center.x;
+        const dy = point.y - gesture.center.y;
+        const isSwipe = pointers.size === 1 && gesture.pointerCount === 1 && gesture.view.scale === 1 &&
+            Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy);
+
+        pointers.delete(event.pointerId);
+
+        if (isSwipe && event.type === 'pointerup') {
+            show(dx < 0 ? index + 1 : index - 1);
+        }
+
+        // Remaining finger continues as a pan from here
+        gesture = pointers.size > 0 ? createGesture(pointers, view) : null;
+    };
+
+    elements.stage.addEventListener('pointerup', endPointer);
+    elements.stage.addEventListener('pointercancel', endPointer);
+
+    // Click on empty stage area closes, like the modal backdrop
+    elements.stage.addEventListener('click', event => {
+        if (event.target === elements.stage && !dragged) {
+            close();
+        }
+    });
+
+    return {
+        open,
+        close,
+        isOpen: () => !elements.lightbox.hidden
+    };
+}
+
+// <!-- ANCHOR: createGesture -->
+/**
+ * Snapshot gesture start
+ * @param {Map} pointers - Active pointers id -> { x, y }
+ * @param {Object} view - Current { scale, x, y }
+ * @returns {Object} { view, center, distance, pointerCount }
+ */
+function createGesture(pointers, view) {
+    const [first, second = first] = [...pointers.values()];
+
+    return {
+        view: { ...view },
+        center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 },
+        distance: Math.hypot(second.x - first.x, second.y - first.y) || 1,
+        pointerCount: pointers.size
+    };
+}
+
+// <!-- ANCHOR: createLightboxElements -->
+/**
+ * Build lightbox markup
+ * @returns {Object} { lightbox, stage, image, caption, counter, previous, next, fullscreen, close }
+ */
+function createLightboxElements() {
+    const lightbox = document.createElement('div');
+    lightbox.className = 'lightbox';
+    lightbox.hidden = true;
+    lightbox.tabIndex = -1; // Clicks inside keep focus in the dialog
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.setAttribute('aria-label', 'Просмотр изображений');
+
+    lightbox.innerHTML = `
+        <div class="lightbox__stage" data-cursor="drag">
+            <img class="lightbox__image" draggable="false" alt="">
+        </div>
+        <p class="lightbox__counter text-nav" aria-live="polite"></p>
+        <p class="lightbox__caption"></p>
+        <button class="lightbox__button lightbox__button--previous" type="button" aria-label="Предыдущее изображение">‹</button>
+        <button class="lightbox__button lightbox__button--next" type="button" aria-label="Следующее изображение">›</button>
+        <button class="lightbox__button lightbox__button--fullscreen" type="button" aria-label="Во весь экран">⤢</button>
+        <button class="lightbox__button lightbox__button--close" type="button" aria-label="Закрыть просмотр">×</button>
+    `;
+
+    return {
+        lightbox,
+        stage: lightbox.querySelector('.lightbox__stage'),
+        image: lightbox.querySelector('.lightbox__image'),
+        caption: lightbox.querySelector('.lightbox__caption'),
+        counter: lightbox.querySelector('.lightbox__counter'),
+        previous: lightbox.querySelector('.lightbox__button--previous'),
+        next: lightbox.querySelector('.lightbox__button--next'),
+        fullscreen: lightbox.querySelector('.lightbox__button--fullscreen'),
+        close: lightbox.querySelector('.lightbox__button--close')
+    };
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,241 @@
+// ==============================================
+// MEDIA.JS - Project media list
+// Purpose: Render project gallery (images, looping clips, embeds) with captions
+// Dependencies: shared/media.js
+// Version: 2.4.0
+// REUSABLE LOGIC: Used by project modal, project page gallery and project cards
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: createMediaList, createPicture, setPlaceholder
+// DEPS: shared/media.js
+
+import { MEDIA_TYPES, getImageSources } from '../shared/media.js';
+
+// <!-- ANCHOR: createMediaList -->
+/**
+ * Create gallery elements for a project
+ * @param {Object} project - Project with media [{ type, src, alt, caption, poster, ratio, width, height }]
+ * @param {Object} options - List options
+ * @param {string} options.itemClassName - Wrapper class, e.g. 'project-modal__image'
+ * @param {string} options.sizes - sizes attribute for image srcsets (shared/media.js IMAGE_SIZES)
+ * @param {boolean} options.zoomable - Wrap images in .media-item__zoom buttons (components/lightbox.js)
+ * @returns {HTMLElement[]} <figure> per entry in declared order
+ *
+ * LOGIC: Every entry is a figure (itemClassName + media-item--{type})
+ * with optional figcaption. First entry loads eagerly (above the
+ * fold), the rest lazy. Width/height from manifest let the browser
+ * reserve space before load - no layout shift while scrolling.
+ * Images sit in a .media-item__frame with the blur-up placeholder.
+ */
+export function createMediaList(project, options = {}) {
+    const { itemClassName = 'media-item', sizes = '100vw', zoomable = false } = options;
+
+    return (project.media || []).map((item, index) => {
+        const figure = document.createElement('figure');
+        figure.className = `${itemClassName} media-item media-item--${item.type}`;
+
+        const label = item.alt || `${project.title} - ${index + 1}`;
+        const eager = index === 0;
+
+        if (item.type === MEDIA_TYPES.video) {
+            figure.appendChild(createVideo(item, label, eager));
+        } else if (item.type === MEDIA_TYPES.embed) {
+            figure.appendChild(createEmbed(item, label, eager));
+        } else {
+            // Zoomable: button named by the image alt - keyboard opens the lightbox too
+            const frame = document.createElement(zoomable ? 'button' : 'div');
+            frame.className = zoomable ? 'media-item__frame media-item__zoom' : 'media-item__frame';
+
+            if (zoomable) {
+                frame.type = 'button';
+                frame.setAttribute('aria-haspopup', 'dialog');
+                frame.dataset.cursor = 'view';
+                frame.dataset.cursorLabel = 'Увеличить';
+            }
+
+            if (item.width && item.height) {
+                frame.style.aspectRatio = `${item.width} / ${item.height}`;
+            }
+
+            frame.appendChild(createPicture(item, { alt: label, sizes, eager }));
+            setPlaceholder(frame, item);
+            figure.appendChild(frame);
+        }
+
+        if (item.caption) {
+            const caption = document.createElement('figcaption');
+            caption.className = 'media-item__caption';
+            caption.textContent = item.caption;
+            figure.appendChild(caption);
+        }
+
+        return figure;
+    });
+}
+
+// <!-- ANCHOR: createPicture -->
+/**
+ * Create responsive image
+ * @param {Object} image - { src, width, height, sources } from manifest
+ * @param {Object} options - Image options
+ * @param {string} options.alt - Alt text ('' for decorative)
+ * @param {string} options.sizes - Rendered width hint, e.g. IMAGE_SIZES.card
+ * @param {boolean} options.eager - Load immediately (above the fold)
+ * @returns {HTMLElement} <picture> with AVIF/WebP <source>s, plain <img> without variants
+ *
+ * LOGIC: Browser picks the first format it supports and the
+ * smallest candidate that covers sizes x device pixel ratio. The
+ * <img> keeps the original file as fallback and as the full-size
+ * source for the lightbox (img.src).
+ *
+ * REUSABLE LOGIC: Gallery items and project card thumbnails
+ */
+export function createPicture(image, options = {}) {
+    const { alt = '', sizes = '100vw', eager = false } = options;
+
+    const img = document.createElement('img');
+    img.src = image.src;
+
+    // Intrinsic size from manifest - browser reserves space before load
+    if (image.width && image.height) {
+        img.width = image.width;
+        img.height = image.height;
+    }
+
+    img.alt = alt;
+    img.loading = eager ? 'eager' : 'lazy';
+
+    const sources = getImageSources(image);
+
+    if (sources.length === 0) {
+        return img;
+    }
+
+    const picture = document.createElement('picture');
+
+    sources.forEach(({ type, srcset }) => {
+        const source = document.createElement('source');
+        source.type = type;
+        source.srcset = srcset;
+        source.sizes = sizes;
+        picture.appendChild(source);
+    });
+
+    picture.appendChild(img);
+    return picture;
+}
+
+// <!-- ANCHOR: setPlaceholder -->
+/**
+ * Show blur-up placeholder until the image is ready
+ * @param {HTMLElement} frame - Element around the <picture>/<img>
+ * @param {Object} image - { placeholder: { color, src } } from manifest (may be null)
+ * @returns {void}
+ *
+ * LOGIC: Frame shows the dominant color and the blurred thumbnail
+ * (.media-placeholder::before), the img stays transparent
+ * (.is-loading) until it has loaded and decode() resolved, then
+ * fades in. Without placeholder data the image still fades in.
+ * A failed image is revealed too (alt text / broken icon).
+ *
+ * WHY: decode() before showing - a large image never paints half
+ * decoded, the fade starts on a complete frame.
+ *
+ * REUSABLE LOGIC: Gallery frames, card thumbnails
+ */
+export function setPlaceholder(frame, image) {
+    const img = frame.querySelector('img');
+    const { color, src } = image.placeholder || {};
+
+    if (!img) {
+        return;
+    }
+
+    frame.classList.add('media-placeholder', 'is-loading');
+
+    if (color) {
+        frame.style.backgroundColor = color;
+    }
+
+    if (src) {
+        frame.style.setProperty('--placeholder-image', `url("${src}")`);
+    }
+
+    const reveal = () => frame.classList.remove('is-loading');
+    const decodeAndReveal = () => img.decode().catch(() => {}).then(reveal);
+
+    // Cached images can be complete right away
+    if (img.complete && img.naturalWidth > 0) {
+        decodeAndReveal();
+        return;
+    }
+
+    img.addEventListener('load', decodeAndReveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+}
+
+// <!-- ANCHOR: createVideo -->
+/**
+ * Create looping clip (GIF replacement)
+ * @param {Object} item - Media entry
+ * @param {string} label - Accessible name
+ * @param {boolean} eager - Load immediately
+ * @returns {HTMLVideoElement} Video
+ *
+ * WHY: Muted + playsinline are required for autoplay on mobile.
+ * No controls - clips are short loops, not films.
+ */
+function createVideo(item, label, eager) {
+    const video = document.createElement('video');
+    video.src = item.src;
+    video.muted = true;
+    video.autoplay = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = eager ? 'auto' : 'metadata';
+    video.setAttribute('aria-label', label);
+    video.dataset.cursor = 'hidden'; // Inverting circle over moving video is noise
+
+    if (item.poster) {
+        video.poster = item.poster;
+    }
+
+    if (item.width && item.height) {
+        video.width = item.width;
+        video.height = item.height;
+    }
+
+    return video;
+}
+
+// <!-- ANCHOR: createEmbed -->
+/**
+ * Create iframe embed (Figma prototype, YouTube, ...)
+ * @param {Object} item - Media entry, src already checked by normalizeMedia
+ * @param {string} title - Iframe title for screen readers
+ * @param {boolean} eager - Load immediately
+ * @returns {HTMLElement} Ratio box with iframe
+ *
+ * LOGIC: Box keeps the declared aspect ratio (default 16 / 9).
+ * Only hosts from shared/media.js EMBED_HOSTS get here.
+ */
+function createEmbed(item, title, eager) {
+    const box = document.createElement('div');
+    box.className = 'media-item__embed';
+    box.dataset.cursor = 'hidden'; // Iframe gets no mousemove - circle would freeze at its edge
+    box.style.aspectRatio = item.ratio;
+
+    const iframe = document.createElement('iframe');
+    iframe.src = item.src;
+    iframe.title = title;
+    iframe.loading = eager ? 'eager' : 'lazy';
+    iframe.allow = 'autoplay; fullscreen; picture-in-picture; clipboard-write';
+    iframe.allowFullscreen = true;
+    iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+    box.appendChild(iframe);
+    return box;
+}
+
+// UPDATED COMMENTS
@@ -1,21 +1,69 @@
 // ==============================================
 // MODAL.JS - Project gallery modal component
-// Purpose: Handle modal overlay with vertical image gallery
-// Dependencies: None
-// Version: 1.0.0
+// Purpose: Accessible dialog overlay with vertical project gallery
+// Dependencies: shared/api.js, shared/router.js, components/related.js, components/error-state.js,
+//               components/lightbox.js
+// Version: 2.0.0
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: openProjectModal, closeProjectModal, initModal
-// DEPS: None
+// EXPORTS: openProjectModal, closeProjectModal, syncProjectModal, prefetchProjectMedia, initModal
+// DEPS: shared/api.js, shared/router.js, shared/media.js, components/related.js,
+//       components/card.js, components/error-state.js, components/media.js,
+//       components/case-study.js, components/lightbox.js
+
+import { getProjectResult, getRelatedProjects } from '../shared/api.js';
+import { getLocale, getQueryParam, setQueryParams, pushQueryParams } from '../shared/router.js';
+import { IMAGE_SIZES, MEDIA_TYPES } from '../shared/media.js';
+import { createRelatedSection } from './related.js';
+import { createStatusBadge } from './card.js';
+import { createErrorState } from './error-state.js';
+import { createMediaList, createPicture } from './media.js';
+import { createCaseStudy } from './case-study.js';
+import { initLightbox } from './lightbox.js';
+
+// Cards in the related strip at the end of the modal
+const RELATED_LIMIT = 3;
+
+// Query param of the open project - /?project=<id> is a shareable modal link
+const PROJECT_PARAM = 'project';
+
+// Tab order inside the dialog
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    'video[controls]',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Element focused before opening - gets focus back on close
+let returnFocusTo = null;
+
+// Page elements made inert while the dialog is open
+let inertElements = [];
+
+// Full-size viewer over the gallery - created by initModal()
+let lightbox = null;
+
+// AbortController of the load that owns the gallery - see openProjectModal()
+let activeLoad = null;
+
+// Images warmed per hovered card, ids already prefetched
+const PREFETCH_LIMIT = 2;
+const prefetchedProjects = new Set();
 
 // <!-- ANCHOR: initModal -->
 /**
  * Initialize modal component with event listeners
  * @returns {void}
  * 
- * LOGIC: Sets up ESC key and backdrop click handlers.
- * Prevents body scroll when modal is open.
+ * LOGIC: Sets up ESC key, close button and backdrop click handlers,
+ * keeps Tab / Shift+Tab inside the open dialog and attaches the
+ * lightbox to the gallery (click on an image opens it).
  * Click on modal background closes it, but not on images.
  * 
  * REUSABLE LOGIC: Modal initialization pattern
@@ -28,37 +76,66 @@ export function initModal() {
         return;
     }
     
-    // ESC key to close
+    // ESC key to close, Tab cycles inside the dialog
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal.classList.contains('project-modal--visible')) {
-            closeProjectModal();
+        if (!modal.classList.contains('project-modal--visible')) {
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            dismissProjectModal();
+        } else if (e.key === 'Tab') {
+            trapFocus(e, modal);
         }
     });
     
+    modal.querySelector('.project-modal__close')?.addEventListener('click', dismissProjectModal);
+    
+    // Lives inside the dialog - modal stays open and scrolled where it was
+    const gallery = document.getElementById('modal-gallery');
+    
+    if (gallery) {
+        lightbox = initLightbox(gallery, { root: modal, scroller: modal });
+    }
+    
     // Click on modal (backdrop) to close
     // WHY: Check if click is directly on modal, not on children (images)
     modal.addEventListener('click', (e) => {
         // Close only if clicked on modal itself (dark background)
         // Not on gallery or images
         if (e.target.id === 'project-modal') {
-            closeProjectModal();
+            dismissProjectModal();
         }
     });
 }
 
 // <!-- ANCHOR: openProjectModal -->
 /**
- * Open modal with project images
- * @param {string} projectId - Project ID to load images from
+ * Open modal with project case study and gallery
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Open options
+ * @param {boolean} [options.updateHistory] - false when URL already has ?project=
+ * @param {Object} [options.project] - Already loaded project (card data) - rendered without waiting
  * @returns {Promise<void>}
  * 
- * LOGIC: Auto-detects and loads images from project folder,
- * renders them vertically, shows modal overlay, and prevents body scroll.
+ * LOGIC: Shows the dialog at once (focus moves in, page behind
+ * becomes inert). A card passes its project, so case study and
+ * first image render in the same frame; a direct link shows the
+ * loading state until the project is loaded. The related strip
+ * is appended when ready. Failed load = error state inside the
+ * open modal (retry re-runs this function).
+ * Every call aborts the previous load (activeLoad) - a slower,
+ * older load can never write into the gallery of a newer one,
+ * closing aborts too.
+ * Opening pushes ?project=<id> (back closes the modal), switching
+ * project inside the open modal replaces it (back still closes).
  * 
- * WHY: Images are auto-detected from assets/projects/{projectId}/ folder.
- * All .webp files (1.webp, 2.webp, etc.) are displayed in order.
+ * WHY: Gallery is resolved into data/manifest.json by the build
+ * script (declared media list, else numbered images) - no request
+ * waterfall.
  */
-export async function openProjectModal(projectId) {
+export async function openProjectModal(projectId, options = {}) {
+    const { updateHistory = true, project: knownProject = null } = options;
     const modal = document.getElementById('project-modal');
     const gallery = document.getElementById('modal-gallery');
     
@@ -67,56 +144,200 @@ export async function openProjectModal(projectId) {
         return;
     }
     
-    // Clear existing images
-    gallery.innerHTML = '';
+    // CRITICAL: before body is locked - router saves page scroll for the entry
+    if (updateHistory && getQueryParam(PROJECT_PARAM) !== projectId) {
+        if (modal.classList.contains('project-modal--visible')) {
+            setQueryParams({ [PROJECT_PARAM]: projectId });
+        } else {
+            pushQueryParams({ [PROJECT_PARAM]: projectId });
+        }
+    }
     
-    // Show loading state
-    gallery.innerHTML = '<div style="color: white; text-align: center; padding: 40px;">Loading...</div>';
+    // Related project clicked inside open modal - dialog is already set up
+    const wasOpen = modal.classList.contains('project-modal--visible');
     
-    // Get images for this project - CRITICAL: auto-detect from folder
-    const images = await getProjectImages(projectId);
+    // Newest call owns the gallery - older loads stop at their next check
+    activeLoad?.abort();
+    const load = new AbortController();
+    activeLoad = load;
+    
+    modal.dataset.projectId = projectId;
+    const known = knownProject?.id === projectId ? knownProject : null;
+    
+    if (known) {
+        renderProject(modal, gallery, known, null, load.signal);
+    } else {
+        // Show loading state - announced through the status region
+        gallery.setAttribute('aria-busy', 'true');
+        gallery.innerHTML = '<div style="color: white; text-align: center; padding: 40px;">Загрузка...</div>';
+        setModalText(modal, 'Проект', 'Загрузка проекта...');
+    }
+    
+    if (wasOpen) {
+        // Clicked related card is gone - keep focus inside the dialog
+        focusCloseButton(modal);
+    } else {
+        showDialog(modal);
+    }
+    
+    // Scroll modal to top - CRITICAL: start from beginning of gallery
+    modal.scrollTop = 0;
+    
+    // Get case study and gallery - CRITICAL: media list comes from manifest/frontmatter
+    const locale = getLocale();
+    const [{ project, error }, relatedProjects] = await Promise.all([
+        known ? { project: known, error: null } : getProjectResult(projectId, locale),
+        getRelatedProjects(projectId, RELATED_LIMIT, locale)
+    ]);
+    
+    // Closed, reopened or switched to another project while loading
+    if (load.signal.aborted) {
+        return;
+    }
+    
+    if (!known) {
+        renderProject(modal, gallery, project, error, load.signal);
+    }
+    
+    // Related projects strip - click swaps project in the open modal
+    const relatedSection = createRelatedSection(relatedProjects, {
+        modifier: 'dark',
+        onSelect: related => openProjectModal(related.id, { project: related }),
+        onIntent: prefetchProjectMedia
+    });
+    
+    if (relatedSection) {
+        gallery.appendChild(relatedSection);
+    }
+    
+    const count = project ? project.media.length : 0;
+    console.log(`${wasOpen ? 'Switched modal to' : 'Opened modal for'} project: ${projectId} with ${count} media items`);
+}
+
+// <!-- ANCHOR: prefetchProjectMedia -->
+/**
+ * Warm the cache with the first gallery images of a project
+ * @param {Object} project - Project from loadProjects()
+ * @returns {void}
+ * 
+ * LOGIC: Called on hover intent / focus of a card. Builds detached
+ * <picture>s with the modal's sizes - the browser picks and fetches
+ * the same candidate the modal will show. Once per project; skipped
+ * when the visitor asked to save data.
+ * 
+ * WHY: Hover-to-click takes ~300ms - enough to have the first image
+ * ready when the modal opens.
+ */
+export function prefetchProjectMedia(project) {
+    if (!project || prefetchedProjects.has(project.id) || navigator.connection?.saveData) {
+        return;
+    }
+    
+    prefetchedProjects.add(project.id);
+    
+    (project.media || [])
+        .filter(item => item.type === MEDIA_TYPES.image)
+        .slice(0, PREFETCH_LIMIT)
+        .forEach(item => createPicture(item, { sizes: IMAGE_SIZES.modal, eager: true }));
+}
+
+// <!-- ANCHOR: renderProject -->
+/**
+ * Fill the gallery with a project
+ * @param {HTMLElement} modal - #project-modal
+ * @param {HTMLElement} gallery - #modal-gallery
+ * @param {Object|null} project - Project or null on error
+ * @param {ApiError|null} error - Load error
+ * @param {AbortSignal} signal - Aborted when another load takes over
+ * @returns {void}
+ * 
+ * LOGIC: Replaces gallery content with status badge, case study
+ * and media list (or error state) and announces the project.
+ */
+function renderProject(modal, gallery, project, error, signal) {
+    const media = project ? project.media : [];
     
     // Clear loading state
     gallery.innerHTML = '';
+    gallery.removeAttribute('aria-busy');
+    // Error state announces itself (role="alert")
+    setModalText(modal, project ? project.title : 'Проект', project ? `Открыт проект ${project.title}` : '');
     
-    if (images.length === 0) {
-        console.warn(`No images found for project: ${projectId}`);
-        gallery.innerHTML = '<div style="color: white; text-align: center; padding: 40px;">No images available</div>';
-        // Still show modal to display message
+    if (error) {
+        gallery.appendChild(createErrorState(error, {
+            modifier: 'dark',
+            onRetry: () => openProjectModal(modal.dataset.projectId)
+        }));
     }
     
-    // Render images vertically
-    images.forEach((imageSrc, index) => {
-        const imageWrapper = document.createElement('div');
-        imageWrapper.className = 'project-modal__image';
-        
-        const img = document.createElement('img');
-        img.src = imageSrc;
-        img.alt = `${projectId} image ${index + 1}`;
-        img.loading = index === 0 ? 'eager' : 'lazy'; // First image eager, rest lazy
-        
-        imageWrapper.appendChild(img);
-        gallery.appendChild(imageWrapper);
-    });
+    // Preview mode: mark unpublished project
+    const badge = project ? createStatusBadge(project) : null;
     
-    // Show modal
-    modal.classList.add('project-modal--visible');
+    if (badge) {
+        badge.classList.add('status-badge--modal');
+        gallery.appendChild(badge);
+    }
     
-    // Scroll modal to top - CRITICAL: start from beginning of gallery
-    modal.scrollTop = 0;
+    // Render written case study above images
+    if (project?.html) {
+        gallery.appendChild(createCaseStudy(project.html, 'project-modal__content'));
+    }
     
-    // Prevent body scroll - CRITICAL: save position BEFORE applying fixed
-    const scrollY = window.scrollY;
-    modal.dataset.scrollY = scrollY.toString();
+    if (project && media.length === 0) {
+        console.warn(`No media found for project: ${project.id}`);
+        gallery.insertAdjacentHTML('beforeend', '<div style="color: white; text-align: center; padding: 40px;">No images available</div>');
+        // Still show modal to display message
+    }
     
-    // Apply fixed position with negative top to maintain visual position
-    document.body.style.position = 'fixed';
-    document.body.style.top = `-${scrollY}px`;
-    document.body.style.left = '0';
-    document.body.style.right = '0';
-    document.body.style.overflow = 'hidden';
+    // Render images, clips and embeds vertically - REUSED: components/media.js
+    if (project) {
+        gallery.append(...createMediaList(project, {
+            itemClassName: 'project-modal__image',
+            sizes: IMAGE_SIZES.modal,
+            zoomable: true
+        }));
+        preloadAhead(modal, gallery, signal);
+    }
+}
+
+// <!-- ANCHOR: preloadAhead -->
+/**
+ * Load the next gallery image before it scrolls into view
+ * @param {HTMLElement} modal - #project-modal (scroll container)
+ * @param {HTMLElement} gallery - #modal-gallery with rendered media
+ * @param {AbortSignal} signal - Stops observing when the load is replaced or the modal closes
+ * @returns {void}
+ * 
+ * LOGIC: When a gallery entry becomes visible, the image of the
+ * entry after it switches from lazy to eager loading.
+ * 
+ * WHY: Native lazy loading starts late inside the fixed modal on
+ * fast scrolls - the visitor would land on a blank frame.
+ */
+function preloadAhead(modal, gallery, signal) {
+    const items = [...gallery.querySelectorAll('.media-item')];
     
-    console.log(`Opened modal for project: ${projectId} with ${images.length} images`);
+    if (items.length < 2 || !('IntersectionObserver' in window)) {
+        return;
+    }
+    
+    const observer = new IntersectionObserver(entries => {
+        entries
+            .filter(entry => entry.isIntersecting)
+            .forEach(entry => {
+                const next = items[items.indexOf(entry.target) + 1];
+                const img = next?.querySelector('img');
+                
+                if (img) {
+                    img.loading = 'eager';
+                }
+                
+                observer.unobserve(entry.target);
+            });
+    }, { root: modal });
+    
+    items.forEach(item => observer.observe(item));
+    signal.addEventListener('abort', () => observer.disconnect(), { once: true });
 }
 
 // <!-- ANCHOR: closeProjectModal -->
@@ -124,21 +345,39 @@ export async function openProjectModal(projectId) {
  * Close modal and restore body scroll
  * @returns {void}
  * 
- * LOGIC: Hides modal overlay and restores body scroll position exactly.
+ * LOGIC: Hides modal overlay, restores body scroll position exactly,
+ * makes the page interactive again and returns focus to the opener.
+ * Doesn't touch the URL - called by the router when the ?project=
+ * entry is left. UI closes through dismissProjectModal().
  * WHY: position:fixed removes scroll, so we restore it manually.
  */
 export function closeProjectModal() {
     const modal = document.getElementById('project-modal');
     
-    if (!modal) {
+    // Not open - nothing to restore (router calls this on every leave)
+    if (!modal || !modal.classList.contains('project-modal--visible')) {
         return;
     }
     
     // Get saved scroll position
     const scrollY = parseInt(modal.dataset.scrollY || '0');
     
+    // Load still running would render into the hidden modal
+    activeLoad?.abort();
+    activeLoad = null;
+    
+    // Back button while viewing an image closes both
+    lightbox?.close();
+    
     // Hide modal
     modal.classList.remove('project-modal--visible');
+    setModalText(modal, 'Проект', '');
+    
+    // Page is interactive and readable again
+    inertElements.forEach(element => {
+        element.inert = false;
+    });
+    inertElements = [];
     
     // Restore body styles - CRITICAL: remove fixed position
     document.body.style.position = '';
@@ -150,77 +389,168 @@ export function closeProjectModal() {
     // Restore scroll position - CRITICAL: do this AFTER removing fixed
     window.scrollTo(0, scrollY);
     
+    // Back to the card that opened the dialog (direct link / re-rendered grid: card by id)
+    const target = returnFocusTo?.isConnected
+        ? returnFocusTo
+        : document.querySelector(`.project-card[data-project-id="${CSS.escape(modal.dataset.projectId || '')}"]`);
+    
+    // preventScroll - scroll was just restored exactly
+    target?.focus({ preventScroll: true });
+    returnFocusTo = null;
+    
     console.log('Closed project modal');
 }
 
-// <!-- ANCHOR: getProjectImages -->
+// <!-- ANCHOR: syncProjectModal -->
 /**
- * Get array of image paths for a project
- * @param {string} projectId - Project ID
- * @returns {Promise<string[]>} Array of image paths
+ * Open or close modal to match ?project= in URL
+ * @returns {Promise<void>}
  * 
- * LOGIC: Auto-detects images by trying to load them sequentially.
- * Stops when image fails to load (404). Convention: 1.webp, 2.webp, etc.
+ * LOGIC: Called by the landing route on enter and on back/forward.
+ * Direct link /?project=<id> opens the modal over the landing.
+ */
+export async function syncProjectModal() {
+    const modal = document.getElementById('project-modal');
+    const projectId = getQueryParam(PROJECT_PARAM);
+    
+    if (!modal) {
+        return;
+    }
+    
+    if (!projectId) {
+        closeProjectModal();
+        return;
+    }
+    
+    if (modal.dataset.projectId !== projectId || !modal.classList.contains('project-modal--visible')) {
+        await openProjectModal(projectId, { updateHistory: false });
+    }
+}
+
+// <!-- ANCHOR: dismissProjectModal -->
+/**
+ * Close modal from UI (ESC, backdrop)
+ * @returns {void}
+ * 
+ * LOGIC: Entry pushed by openProjectModal() = go back, router
+ * closes the modal on popstate (forward reopens it). Direct link
+ * = no entry to return to, drop ?project= in place.
+ */
+function dismissProjectModal() {
+    if (window.history.state?.queryPushed && getQueryParam(PROJECT_PARAM)) {
+        window.history.back();
+        return;
+    }
+    
+    setQueryParams({ [PROJECT_PARAM]: null });
+    closeProjectModal();
+}
+
+// <!-- ANCHOR: showDialog -->
+/**
+ * Show modal as a modal dialog
+ * @param {HTMLElement} modal - #project-modal
+ * @returns {void}
  * 
- * WHY: Browser can't scan filesystem. We try loading images until 404.
- * This allows adding images without updating code.
+ * LOGIC: Remembers the opener, locks body scroll, makes every
+ * other body child inert (no clicks, no Tab, hidden from screen
+ * readers) and moves focus to the close button.
  * 
- * SCALED FOR: 100k users - images are lazy loaded, cached by browser
+ * WHY: WAI-ARIA dialog pattern - aria-modal alone doesn't stop
+ * virtual cursor reading the page behind.
  */
-async function getProjectImages(projectId) {
-    // Map of project IDs to their folder names
-    const projectFolderMap = {
-        'adbison-website': 'adbison',
-        'instaforex-search': 'instaforex',
-        'safety-first-webapp': 'safetyfirst'
-    };
+function showDialog(modal) {
+    const active = document.activeElement;
+    returnFocusTo = active && active !== document.body ? active : null;
     
-    const folder = projectFolderMap[projectId];
+    // Prevent body scroll - CRITICAL: save position BEFORE applying fixed
+    const scrollY = window.scrollY;
+    modal.dataset.scrollY = scrollY.toString();
     
-    if (!folder) {
-        console.warn(`Unknown project ID: ${projectId}`);
-        return [];
-    }
+    // Apply fixed position with negative top to maintain visual position
+    document.body.style.position = 'fixed';
+    document.body.style.top = `-${scrollY}px`;
+    document.body.style.left = '0';
+    document.body.style.right = '0';
+    document.body.style.overflow = 'hidden';
     
-    const images = [];
-    let index = 1;
-    const maxImages = 50; // Safety limit to prevent infinite loop
+    // Elements inert for another reason stay inert on close
+    inertElements = [...document.body.children].filter(element => (
+        element !== modal && !element.inert && element.tagName !== 'SCRIPT'
+    ));
+    inertElements.forEach(element => {
+        element.inert = true;
+    });
     
-    // Try loading images sequentially until 404
-    while (index <= maxImages) {
-        const imagePath = `assets/projects/${folder}/${index}.webp`;
-        
-        // Check if image exists
-        const exists = await checkImageExists(imagePath);
-        
-        if (!exists) {
-            break; // Stop when image doesn't exist
-        }
-        
-        images.push(imagePath);
-        index++;
+    modal.classList.add('project-modal--visible');
+    focusCloseButton(modal);
+}
+
+// <!-- ANCHOR: focusCloseButton -->
+/**
+ * Move focus into the dialog
+ * @param {HTMLElement} modal - #project-modal
+ * @returns {void}
+ * 
+ * LOGIC: Close button is first in tab order and always present -
+ * content may still be loading.
+ */
+function focusCloseButton(modal) {
+    modal.querySelector('.project-modal__close')?.focus({ preventScroll: true });
+}
+
+// <!-- ANCHOR: setModalText -->
+/**
+ * Update dialog label and status message
+ * @param {HTMLElement} modal - #project-modal
+ * @param {string} title - Dialog name (aria-labelledby target)
+ * @param {string} status - Live region text ('' = nothing to announce)
+ * @returns {void}
+ */
+function setModalText(modal, title, status) {
+    const titleElement = modal.querySelector('#project-modal-title');
+    const statusElement = modal.querySelector('#project-modal-status');
+    
+    if (titleElement) {
+        titleElement.textContent = title;
     }
     
-    return images;
+    if (statusElement) {
+        statusElement.textContent = status;
+    }
 }
 
-// <!-- ANCHOR: checkImageExists -->
+// <!-- ANCHOR: trapFocus -->
 /**
- * Check if image file exists
- * @param {string} url - Image URL to check
- * @returns {Promise<boolean>} True if image exists
- * 
- * LOGIC: Uses fetch HEAD request to check if file exists
- * without downloading the full image.
+ * Keep Tab / Shift+Tab inside the dialog
+ * @param {KeyboardEvent} event - Tab keydown
+ * @param {HTMLElement} modal - #project-modal
+ * @returns {void}
  * 
- * WHY: Efficient way to detect file existence in browser.
+ * LOGIC: Wraps from last focusable element to first and back.
+ * Focus outside the dialog (e.g. on body after a click on the
+ * backdrop) is pulled back in.
  */
-async function checkImageExists(url) {
-    try {
-        const response = await fetch(url, { method: 'HEAD' });
-        return response.ok;
-    } catch (error) {
-        return false;
+function trapFocus(event, modal) {
+    // Skip elements that take no space (display: none, collapsed) or sit under the lightbox
+    const focusable = [...modal.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => element.getClientRects().length > 0 && !element.closest('[inert]'));
+    
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = modal.contains(document.activeElement);
+    
+    if (event.shiftKey && (!inside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (!inside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
     }
 }
 
@@ -0,0 +1,55 @@
+// ==============================================
+// RELATED.JS - Related projects strip
+// Purpose: Row of project cards shown after a case study
+// Dependencies: components/card.js, shared/utils.js
+// Version: 1.1.0
+// REUSABLE LOGIC: Used at the end of project modal and project page
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: createRelatedSection
+// DEPS: components/card.js, shared/utils.js
+
+import { createProjectCard } from './card.js';
+import { createElement } from '../shared/utils.js';
+
+// <!-- ANCHOR: createRelatedSection -->
+/**
+ * Create related projects section
+ * @param {Object[]} projects - Projects from getRelatedProjects()
+ * @param {Object} options - Section options
+ * @param {string} [options.title] - Heading text
+ * @param {string} [options.modifier] - BEM modifier, e.g. 'dark' for modal
+ * @param {Function} [options.getHref] - project -> URL (cards become links)
+ * @param {Function} [options.onSelect] - project -> void (cards open in place)
+ * @param {Function} [options.onIntent] - project -> void (hover/focus, e.g. prefetch)
+ * @returns {HTMLElement|null} Section or null if no projects
+ * 
+ * LOGIC: Card behavior is passed through to createProjectCard,
+ * so the modal can swap projects in place and the project page
+ * can navigate.
+ * 
+ * WHY: Visitors keep browsing instead of closing the modal.
+ */
+export function createRelatedSection(projects, options = {}) {
+    if (!projects || projects.length === 0) {
+        return null;
+    }
+    
+    const { title = 'Другие проекты', modifier = '', getHref = null, onSelect = null, onIntent = null } = options;
+    
+    const cards = projects.map(project => createProjectCard(project, {
+        href: getHref ? getHref(project) : null,
+        onSelect,
+        onIntent
+    }));
+    
+    return createElement('section', {
+        className: `related${modifier ? ` related--${modifier}` : ''}`
+    }, [
+        createElement('h2', { className: 'related__title text-nav' }, title),
+        createElement('div', { className: 'related__list' }, cards)
+    ]);
+}
+
+// UPDATED COMMENTS
@@ -2,51 +2,94 @@
 // MAIN.JS - Application entry point
 // Purpose: Initialize app, load modules, setup routing
 // Dependencies: ES6 modules
-// Version: 1.0.0
+// Version: 2.0.0
 // ==============================================
 
 // ## ANCHOR POINTS
 // ENTRY: Application initialization
-// DEPS: shared/api.js, shared/router.js, pages/landing.js, components/marquee.js
+// DEPS: shared/router.js, shared/seo.js, pages/landing.js, pages/project.js, components/marquee.js,
+//       components/cursor.js, components/modal.js
 
 // Import shared utilities
-import { initRouter } from './shared/router.js';
-import { loadProjects } from './shared/api.js';
+import { defineRoutes, startRouter, getLocale } from './shared/router.js';
+import { applyMeta, getSiteMeta } from './shared/seo.js';
 
 // Import page modules
 import { initLanding } from './pages/landing.js';
-import { initProject } from './pages/project.js';
+import { initProject, cancelProject } from './pages/project.js';
 
 // Import components
 import { initMarquee } from './components/marquee.js';
 import { initCursor } from './components/cursor.js';
+import { closeProjectModal, syncProjectModal } from './components/modal.js';
+
+// Landing is initialized once, later visits just show the view
+let landingReady = null;
+
+// <!-- ANCHOR: ROUTES -->
+/**
+ * Application routes - view = data-view element in index.html
+ * 
+ * WHY: vercel.json rewrites every non-asset path to index.html,
+ * so /projects/:id loads the same document and renders here.
+ */
+const ROUTES = [
+    {
+        path: '/',
+        view: 'landing',
+        enter: async () => {
+            // Project page may have replaced title, canonical and OG tags
+            applyMeta(getSiteMeta());
+            
+            landingReady ||= enterLanding();
+            await landingReady;
+            
+            // /?project=<id> - shared link opens modal over the landing
+            await syncProjectModal();
+        },
+        // Back/forward between / and /?project=<id>
+        update: syncProjectModal,
+        // Modal entry left (back, project link inside case study) - close before next view
+        leave: closeProjectModal
+    },
+    {
+        path: '/projects/:id',
+        view: 'project',
+        enter: params => initProject(params),
+        // Late load must not touch the next view or its meta tags
+        leave: cancelProject
+    }
+];
+
+// Unknown paths and unknown project ids
+const NOT_FOUND_ROUTE = {
+    view: 'not-found',
+    enter: () => applyMeta({
+        ...getSiteMeta(),
+        title: 'Страница не найдена - Portfolio',
+        robots: 'noindex'
+    })
+};
 
 // <!-- ANCHOR: init -->
 /**
  * Initialize application
  * @returns {Promise<void>}
  * 
- * LOGIC: Main entry point that sets up routing and initializes
- * the appropriate page based on current URL
+ * LOGIC: Main entry point that sets up routing and renders
+ * the route for current URL
  */
 async function init() {
     try {
         // Initialize custom cursor first - REUSED: from components
         initCursor();
         
-        // Initialize router - REUSED: from shared
-        const currentPage = initRouter();
+        // Match document language to content language (?lang=en)
+        document.documentElement.lang = getLocale();
         
-        // Load page based on route
-        if (currentPage === 'landing') {
-            await initLanding();
-            
-            // Initialize marquee animation with RAF
-            // Speed: 50 pixels per second for smooth scroll
-            initMarquee('.hero__marquee-content', 50);
-        } else if (currentPage === 'project') {
-            await initProject();
-        }
+        // Render current URL, then handle links and back/forward - REUSED: from shared
+        defineRoutes(ROUTES, NOT_FOUND_ROUTE);
+        await startRouter();
         
         console.log('App initialized successfully');
     } catch (error) {
@@ -54,6 +97,19 @@ async function init() {
     }
 }
 
+// <!-- ANCHOR: enterLanding -->
+/**
+ * Initialize landing view
+ * @returns {Promise<void>}
+ */
+async function enterLanding() {
+    await initLanding();
+    
+    // Initialize marquee animation with RAF
+    // Speed: 50 pixels per second for smooth scroll
+    initMarquee('.hero__marquee-content', 50);
+}
+
 // Start app when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
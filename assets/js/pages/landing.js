@@ -1,16 +1,42 @@
 // ==============================================
 // LANDING.JS - Landing page logic
 // Purpose: Initialize and manage landing page functionality
-// Dependencies: shared/api.js, components/card.js, components/modal.js
-// Version: 1.0.0
+// Dependencies: shared/api.js, components/card.js, components/modal.js, components/error-state.js
+// Version: 1.4.0
 // ==============================================
 
 // ## ANCHOR POINTS
 // EXPORTS: initLanding
-// DEPS: shared/api.js, components/modal.js
+// DEPS: shared/api.js, shared/router.js, shared/search.js, shared/utils.js, components/modal.js,
+//       components/card.js, components/error-state.js
 
-import { loadLinks, loadProjects } from '../shared/api.js';
-import { initModal, openProjectModal } from '../components/modal.js';
+import {
+    loadLinks,
+    loadProjects,
+    searchProjects,
+    filterProjects,
+    sortProjects,
+    getTagCounts,
+    onContentChange,
+    SORT_OPTIONS
+} from '../shared/api.js';
+import { getLocale, getQueryParam, getQueryParams, setQueryParams } from '../shared/router.js';
+import { highlightText } from '../shared/search.js';
+import { createElement, debounce } from '../shared/utils.js';
+import { initModal, openProjectModal, prefetchProjectMedia } from '../components/modal.js';
+import { createProjectCard, formatCardTitle } from '../components/card.js';
+import { createErrorState } from '../components/error-state.js';
+
+// Projects grid view - filter/sort part is synced to ?tag=&match=&sort=
+const gridState = {
+    query: '',
+    tags: [],
+    match: 'any',
+    sort: SORT_OPTIONS[0]
+};
+
+// Incremented per grid update - late async results are dropped
+let gridUpdateToken = 0;
 
 // <!-- ANCHOR: initLanding -->
 /**
@@ -42,6 +68,18 @@ export async function initLanding() {
     // Load and render projects grid
     await renderProjectsGrid();
     
+    // Live search, tag filter and sort over rendered cards
+    initProjectSearch();
+    await initProjectFilters();
+    
+    // First render may come from persistent cache - update when server has newer content
+    onContentChange(() => {
+        refreshProjects();
+        renderHeaderLinks();
+        updateResumeButton();
+        renderFooterLinks();
+    });
+    
     // Load and render logos marquee
     renderLogosMarquee();
     
@@ -85,11 +123,11 @@ function initHeroVideo() {
             video.loop = true;
             video.playsInline = true;
             video.preload = 'auto';
-            video.poster = 'assets/images/image 8.jpg';
+            video.poster = '/assets/images/image 8.jpg';
             
             // Add source
             const source = document.createElement('source');
-            source.src = 'assets/videos/IMG_2095.MP4';
+            source.src = '/assets/videos/IMG_2095.MP4';
             source.type = 'video/mp4';
             video.appendChild(source);
             
@@ -293,17 +331,14 @@ function startMSKClock() {
  * 
  * LOGIC: Fetches links from JSON, updates footer link elements
  * with proper URLs and display text. Uses data attributes to identify links.
+ * Failed load = error state with retry (also rebinds header links
+ * and resume button, they share links.json).
  * 
  * REUSABLE LOGIC: Dynamic footer rendering from centralized data
  */
 async function renderFooterLinks() {
     const linksData = await loadLinks();
     
-    if (!linksData) {
-        console.warn('No links data found');
-        return;
-    }
-    
     // Get footer grid container
     const footerGrid = document.querySelector('.footer-links__grid');
     
@@ -315,6 +350,17 @@ async function renderFooterLinks() {
     // Clear existing content
     footerGrid.innerHTML = '';
     
+    if (linksData.error) {
+        footerGrid.appendChild(createErrorState(linksData.error, {
+            onRetry: () => {
+                renderHeaderLinks();
+                updateResumeButton();
+                renderFooterLinks();
+            }
+        }));
+        return;
+    }
+    
     // Column 1: Telegram
     if (linksData.social?.telegram) {
         const telegramCol = createFooterColumn(
@@ -411,76 +457,324 @@ function createFooterColumn(title, linkText, url, external = false) {
  * 
  * LOGIC: Fetches projects from JSON, creates project cards,
  * and renders them in 2x2 grid. Uses REUSABLE card component.
+ * Failed load = error state with retry instead of empty grid.
+ * No projects = empty state - previous cards or error block
+ * (re-render after revalidation or retry) are removed either way.
  */
 async function renderProjectsGrid() {
-    const projectsData = await loadProjects();
+    const projectsData = await loadProjects(getLocale());
+    const gridContainer = document.getElementById('projects-grid');
     
-    if (!projectsData.projects || projectsData.projects.length === 0) {
-        console.warn('No projects found');
+    if (!gridContainer) {
+        console.warn('Projects grid container not found');
         return;
     }
     
-    const gridContainer = document.getElementById('projects-grid');
+    if (projectsData.error) {
+        gridContainer.replaceChildren(createErrorState(projectsData.error, {
+            onRetry: refreshProjects
+        }));
+        return;
+    }
     
-    if (!gridContainer) {
-        console.warn('Projects grid container not found');
+    if (projectsData.projects.length === 0) {
+        console.warn('No projects found');
+        gridContainer.replaceChildren(
+            createElement('p', { className: 'projects__empty projects__empty--grid text-nav' }, 'Проектов пока нет')
+        );
         return;
     }
     
     // Clear existing content
     gridContainer.innerHTML = '';
     
-    // Render each project card
+    // Render each project card - REUSED: card.js, click opens modal with the card's data,
+    // hover/focus prefetches its first images
     projectsData.projects.forEach(project => {
-        const card = createProjectCard(project);
+        const card = createProjectCard(project, {
+            onSelect: selected => openProjectModal(selected.id, { project: selected }),
+            onIntent: prefetchProjectMedia
+        });
         gridContainer.appendChild(card);
     });
 }
 
-// <!-- ANCHOR: createProjectCard -->
+// <!-- ANCHOR: initProjectSearch -->
 /**
- * Create project card element
- * @param {Object} project - Project data object
- * @returns {HTMLElement} Card element
+ * Initialize live search over projects grid
+ * @returns {void}
  * 
- * LOGIC: Generates a card DOM element from project data.
- * Includes thumbnail, title with bullet, and year.
- * Opens modal on click instead of navigation.
+ * LOGIC: Debounced input updates gridState.query and re-applies
+ * the grid view. Escape clears the query.
+ */
+function initProjectSearch() {
+    const input = document.getElementById('projects-search');
+    
+    if (!input) {
+        console.warn('Projects search input not found');
+        return;
+    }
+    
+    const applySearch = () => {
+        const query = input.value.trim();
+        
+        if (query === gridState.query) {
+            return;
+        }
+        
+        gridState.query = query;
+        updateProjectsGrid();
+    };
+    
+    input.addEventListener('input', debounce(applySearch, 200));
+    
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && input.value) {
+            input.value = '';
+            applySearch();
+        }
+    });
+}
+
+// <!-- ANCHOR: initProjectFilters -->
+/**
+ * Initialize tag filter bar, match mode and sort controls
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: Reads ?tag=&match=&sort= into gridState, renders one
+ * toggle button per tag in use (with project count) and writes
+ * every change back to the query string.
  * 
- * REUSABLE LOGIC: Card component for projects grid
+ * WHY: Filtered view is a shareable link and survives reload.
  */
-function createProjectCard(project) {
-    // Create card container - div instead of <a> for modal
-    const card = document.createElement('div');
-    card.className = 'project-card';
-    card.dataset.projectId = project.id; // Store project ID
-    
-    // Create image container
-    const imageContainer = document.createElement('div');
-    imageContainer.className = 'project-card__image';
-    
-    const img = document.createElement('img');
-    img.src = project.thumbnail;
-    img.alt = project.title;
-    img.loading = 'lazy'; // Lazy load for performance
-    
-    imageContainer.appendChild(img);
-    
-    // Create title with year
-    const title = document.createElement('div');
-    title.className = 'project-card__title text-nav';
-    title.textContent = `${project.title} (${project.year})`;
-    
-    // Assemble card
-    card.appendChild(imageContainer);
-    card.appendChild(title);
-    
-    // Add click handler to open modal - REUSED: modal.js
-    card.addEventListener('click', () => {
-        openProjectModal(project.id);
+async function initProjectFilters() {
+    const tagsContainer = document.getElementById('projects-tags');
+    const matchButton = document.getElementById('projects-match');
+    const sortSelect = document.getElementById('projects-sort');
+    
+    if (!tagsContainer || !matchButton || !sortSelect) {
+        console.warn('Projects filter elements not found');
+        return;
+    }
+    
+    // Restore state from URL - unknown tags are dropped by renderTagFilter()
+    gridState.tags = getQueryParams('tag');
+    gridState.match = getQueryParam('match') === 'all' ? 'all' : 'any';
+    gridState.sort = SORT_OPTIONS.includes(getQueryParam('sort')) ? getQueryParam('sort') : SORT_OPTIONS[0];
+    
+    // Delegated - tag buttons are re-rendered on content change
+    tagsContainer.addEventListener('click', event => {
+        const button = event.target.closest('[data-tag]');
+        
+        if (!button) {
+            return;
+        }
+        
+        const tag = button.dataset.tag;
+        
+        // "All" button (empty tag) clears selection
+        if (!tag) {
+            gridState.tags = [];
+        } else {
+            gridState.tags = gridState.tags.includes(tag)
+                ? gridState.tags.filter(t => t !== tag)
+                : [...gridState.tags, tag];
+        }
+        
+        syncProjectFilters();
+    });
+    
+    matchButton.addEventListener('click', () => {
+        gridState.match = gridState.match === 'all' ? 'any' : 'all';
+        syncProjectFilters();
+    });
+    
+    sortSelect.addEventListener('change', () => {
+        gridState.sort = sortSelect.value;
+        syncProjectFilters();
     });
     
-    return card;
+    await renderTagFilter();
+    syncProjectFilters();
+}
+
+// <!-- ANCHOR: renderTagFilter -->
+/**
+ * Render tag buttons from tags in use
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: Selected tags missing from content are dropped,
+ * URL spelling is normalized to content spelling.
+ */
+async function renderTagFilter() {
+    const tagsContainer = document.getElementById('projects-tags');
+    
+    if (!tagsContainer) {
+        return;
+    }
+    
+    const tagCounts = await getTagCounts(getLocale());
+    
+    gridState.tags = gridState.tags
+        .map(tag => tagCounts.find(entry => entry.tag.toLowerCase() === tag.toLowerCase()))
+        .filter(Boolean)
+        .map(entry => entry.tag);
+    
+    tagsContainer.innerHTML = '';
+    tagsContainer.appendChild(createTagButton('Все', '', null));
+    
+    tagCounts.forEach(({ tag, count }) => {
+        tagsContainer.appendChild(createTagButton(tag, tag, count));
+    });
+}
+
+// <!-- ANCHOR: syncProjectFilters -->
+/**
+ * Sync filter controls, URL and grid with gridState
+ * @returns {void}
+ */
+function syncProjectFilters() {
+    const matchButton = document.getElementById('projects-match');
+    const sortSelect = document.getElementById('projects-sort');
+    
+    document.querySelectorAll('#projects-tags [data-tag]').forEach(button => {
+        const tag = button.dataset.tag;
+        const pressed = tag ? gridState.tags.includes(tag) : gridState.tags.length === 0;
+        button.setAttribute('aria-pressed', String(pressed));
+    });
+    
+    // Match mode only matters for 2+ tags
+    if (matchButton) {
+        matchButton.textContent = gridState.match === 'all' ? 'Все теги' : 'Любой тег';
+        matchButton.hidden = gridState.tags.length < 2;
+    }
+    
+    if (sortSelect) {
+        sortSelect.value = gridState.sort;
+    }
+    
+    // Defaults are omitted to keep shared links short
+    setQueryParams({
+        tag: gridState.tags,
+        match: gridState.match === 'all' ? 'all' : null,
+        sort: gridState.sort === SORT_OPTIONS[0] ? null : gridState.sort
+    });
+    
+    updateProjectsGrid();
+}
+
+// <!-- ANCHOR: createTagButton -->
+/**
+ * Create tag toggle button
+ * @param {string} label - Button text
+ * @param {string} tag - Tag value ('' = "All" button)
+ * @param {number|null} count - Projects with tag (null = no counter)
+ * @returns {HTMLElement} Button element
+ */
+function createTagButton(label, tag, count) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'projects__tag text-nav';
+    button.dataset.tag = tag;
+    button.setAttribute('aria-pressed', 'false');
+    button.textContent = label;
+    
+    if (count !== null) {
+        const counter = document.createElement('span');
+        counter.className = 'projects__tag-count';
+        counter.textContent = count;
+        button.appendChild(counter);
+    }
+    
+    return button;
+}
+
+// <!-- ANCHOR: refreshProjects -->
+/**
+ * Re-render projects after content changed on server
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: Called by onContentChange() - grid was first rendered
+ * from cache. Rebuilds cards and tag counts, keeps current
+ * search/filter/sort state.
+ */
+async function refreshProjects() {
+    await renderProjectsGrid();
+    await renderTagFilter();
+    syncProjectFilters();
+}
+
+// <!-- ANCHOR: updateProjectsGrid -->
+/**
+ * Apply gridState (search, tags, sort) to rendered cards
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: Visible = search results AND tag filter. With a query,
+ * cards follow search rank; without one, the selected sort.
+ * Cards are reordered and hidden in place, not re-rendered,
+ * so images don't reload. Matched words are highlighted.
+ * 
+ * REUSABLE LOGIC: searchProjects/filterProjects/sortProjects from shared/api.js
+ */
+async function updateProjectsGrid() {
+    const gridContainer = document.getElementById('projects-grid');
+    const emptyMessage = document.getElementById('projects-empty');
+    
+    if (!gridContainer) {
+        return;
+    }
+    
+    const locale = getLocale();
+    const { query, tags, match, sort } = gridState;
+    const token = ++gridUpdateToken;
+    
+    const [results, filtered] = await Promise.all([
+        searchProjects(query, locale),
+        filterProjects(tags, locale, match)
+    ]);
+    
+    // Newer update started while awaiting - drop stale results
+    if (token !== gridUpdateToken) {
+        return;
+    }
+    
+    const allowedIds = new Set(filtered.map(project => project.id));
+    let visible = results.filter(({ project }) => allowedIds.has(project.id));
+    
+    if (!query) {
+        visible = sortProjects(visible.map(({ project }) => project), sort)
+            .map(project => ({ project, terms: [] }));
+    }
+    
+    const cards = new Map(
+        [...gridContainer.querySelectorAll('.project-card')]
+            .map(card => [card.dataset.projectId, card])
+    );
+    
+    // Hide all, then show matches in order
+    cards.forEach(card => {
+        card.hidden = true;
+    });
+    
+    visible.forEach(({ project, terms }) => {
+        const card = cards.get(project.id);
+        
+        if (!card) {
+            return;
+        }
+        
+        const titleText = card.querySelector('.project-card__title-text');
+        
+        // Safe: highlightText escapes project text
+        titleText.innerHTML = highlightText(formatCardTitle(project), terms);
+        card.hidden = false;
+        gridContainer.appendChild(card);
+    });
+    
+    // No cards at all = grid shows error or empty state, not "nothing found"
+    if (emptyMessage) {
+        emptyMessage.hidden = visible.length > 0 || cards.size === 0;
+    }
 }
 
 // UPDATED COMMENTS
@@ -520,7 +814,7 @@ function renderLogosMarquee() {
         logoItem.className = 'logos__item';
         
         const img = document.createElement('img');
-        img.src = `assets/images/logos/${logo}`; // Relative path without leading slash
+        img.src = `/assets/images/logos/${logo}`; // Root-relative - page can be /projects/:id
         img.alt = logo.replace(' logo.svg', '').replace('_', ' ');
         img.loading = 'lazy';
         
@@ -550,7 +844,7 @@ function renderLogosMarquee() {
                     logoItem.className = 'logos__item';
                     
                     const img = document.createElement('img');
-                    img.src = `assets/images/logos/${logo}`;
+                    img.src = `/assets/images/logos/${logo}`;
                     img.alt = logo.replace(' logo.svg', '').replace('_', ' ');
                     img.loading = 'lazy';
                     
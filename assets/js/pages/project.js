@@ -1,43 +1,223 @@
 // ==============================================
 // PROJECT.JS - Project detail page logic
-// Purpose: Initialize and manage project detail page
-// Dependencies: shared/api.js, shared/router.js
-// Version: 1.0.0
+// Purpose: Render full project page at /projects/:id
+// Dependencies: shared/api.js, shared/router.js, components/*
+// Version: 2.2.0
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: initProject
-// DEPS: shared/api.js, shared/router.js
+// EXPORTS: initProject, cancelProject
+// DEPS: shared/api.js, shared/router.js, shared/request.js, shared/utils.js, shared/seo.js,
+//       shared/media.js, components/related.js, components/card.js, components/error-state.js,
+//       components/media.js, components/case-study.js
 
-import { getProjectById } from '../shared/api.js';
-import { getQueryParam } from '../shared/router.js';
+import { getProjectResult, getRelatedProjects, getAdjacentProjects } from '../shared/api.js';
+import { getLocale, getProjectUrl, getHomeUrl, showNotFound } from '../shared/router.js';
+import { ERROR_TYPES } from '../shared/request.js';
+import { createElement } from '../shared/utils.js';
+import { IMAGE_SIZES } from '../shared/media.js';
+import { applyMeta, getProjectMeta } from '../shared/seo.js';
+import { createRelatedSection } from '../components/related.js';
+import { createStatusBadge } from '../components/card.js';
+import { createErrorState } from '../components/error-state.js';
+import { createMediaList } from '../components/media.js';
+import { createCaseStudy } from '../components/case-study.js';
+
+// Cards in the related strip at the end of the page
+const RELATED_LIMIT = 3;
+
+// Incremented per render and on leave - late results for a previous visit are dropped
+let renderToken = 0;
 
 // <!-- ANCHOR: initProject -->
 /**
- * Initialize project detail page
+ * Render project detail view
+ * @param {Object} params - Route params { id } from /projects/:id
  * @returns {Promise<void>}
  * 
- * LOGIC: Gets project ID from URL, loads project data,
- * and renders project details. Entry point for project page.
+ * LOGIC: Shows loading state, loads project, related and
+ * prev/next projects in parallel, then renders header, case study,
+ * gallery, navigation and related strip into #project-content.
+ * Called by the router on every /projects/:id visit - the view is
+ * re-rendered from scratch. Unknown ID = 404 view, other errors =
+ * error state with retry.
+ * 
+ * REUSED: Same data (api.js) and components as the landing modal
  */
-export async function initProject() {
-    const projectId = getQueryParam('id');
+export async function initProject(params = {}) {
+    const projectId = params.id;
+    const container = document.getElementById('project-content');
+    
+    if (!projectId || !container) {
+        console.error('No project ID or container');
+        return;
+    }
+    
+    const token = ++renderToken;
+    const locale = getLocale();
     
-    if (!projectId) {
-        console.error('No project ID provided');
+    // Loading state - prerendered page (scripts/prerender.mjs) stays visible instead
+    container.setAttribute('aria-busy', 'true');
+    
+    if (container.dataset.prerendered !== projectId) {
+        container.replaceChildren(
+            createElement('p', { className: 'project-page__status text-nav' }, 'Загрузка...')
+        );
+    }
+    
+    delete container.dataset.prerendered;
+    
+    const [{ project, error }, relatedProjects, adjacent] = await Promise.all([
+        getProjectResult(projectId, locale),
+        getRelatedProjects(projectId, RELATED_LIMIT, locale),
+        getAdjacentProjects(projectId, locale)
+    ]);
+    
+    // Visitor already moved to another project or left the page (view is the container)
+    if (token !== renderToken || container.hidden) {
         return;
     }
     
-    const project = await getProjectById(projectId);
+    container.removeAttribute('aria-busy');
+    container.innerHTML = '';
     
-    if (!project) {
+    if (error?.type === ERROR_TYPES.notFound) {
         console.error('Project not found:', projectId);
+        await showNotFound();
         return;
     }
     
-    console.log('Project page initialized:', project);
+    if (error) {
+        container.appendChild(createErrorState(error, {
+            onRetry: () => initProject(params)
+        }));
+        return;
+    }
+    
+    // Title, description, canonical, OG/Twitter, JSON-LD - same as prerendered head
+    applyMeta(getProjectMeta(project));
+    
+    container.appendChild(createProjectHeader(project));
+    
+    // Render written case study - CRITICAL: html is pre-sanitized by renderMarkdown
+    if (project.html) {
+        container.appendChild(createCaseStudy(project.html, 'project-page__content'));
+    }
+    
+    // Full gallery - REUSED: components/media.js
+    const media = createMediaList(project, { itemClassName: 'project-gallery__item', sizes: IMAGE_SIZES.page });
+    
+    if (media.length > 0) {
+        container.appendChild(createElement('div', { className: 'project-gallery' }, media));
+    }
+    
+    container.appendChild(createProjectNav(adjacent));
+    
+    // Related projects strip - REUSED: components/related.js, cards link to their pages
+    const relatedSection = createRelatedSection(relatedProjects, {
+        getHref: related => getProjectUrl(related.id)
+    });
+    
+    if (relatedSection) {
+        container.appendChild(relatedSection);
+    }
+    
+    console.log('Project page rendered:', projectId);
+}
+
+// <!-- ANCHOR: cancelProject -->
+/**
+ * Drop the project load in flight
+ * @returns {void}
+ * 
+ * LOGIC: Route leave hook - a load finishing after the visitor
+ * went back to the landing must not show the 404 view or apply
+ * the project's title, canonical and OG tags.
+ */
+export function cancelProject() {
+    renderToken++;
+}
+
+// <!-- ANCHOR: createProjectHeader -->
+/**
+ * Create page header: title, year, tags, external link
+ * @param {Object} project - Normalized project
+ * @returns {HTMLElement} Header element
+ * 
+ * LOGIC: Link button only when project has a (safe) link,
+ * DRAFT badge only in preview mode.
+ */
+function createProjectHeader(project) {
+    const meta = [
+        createElement('span', { className: 'project-header__year text-nav' }, String(project.year))
+    ];
+    
+    if (project.tags.length > 0) {
+        meta.push(createElement('ul', { className: 'project-header__tags' },
+            project.tags.map(tag => createElement('li', { className: 'project-header__tag text-nav' }, tag))
+        ));
+    }
+    
+    const children = [
+        createElement('h1', { className: 'project-header__title' }, project.title),
+        createElement('div', { className: 'project-header__meta' }, meta)
+    ];
+    
+    if (project.link) {
+        children.push(createElement('a', {
+            className: 'project-header__link btn btn-outline text-button',
+            href: project.link,
+            target: '_blank',
+            rel: 'noopener noreferrer'
+        }, 'Открыть проект ↗'));
+    }
+    
+    const header = createElement('header', { className: 'project-header' }, children);
+    
+    // Preview mode: mark unpublished project
+    const badge = createStatusBadge(project);
+    
+    if (badge) {
+        header.prepend(badge);
+    }
+    
+    return header;
+}
+
+// <!-- ANCHOR: createProjectNav -->
+/**
+ * Create previous / all projects / next navigation
+ * @param {Object} adjacent - { previous, next } from getAdjacentProjects()
+ * @returns {HTMLElement} Nav element
+ * 
+ * LOGIC: Missing neighbour (list end, unlisted project) leaves an
+ * empty slot so "all projects" stays centered. Links go through
+ * the router - no page reload.
+ */
+function createProjectNav(adjacent) {
+    const createSideLink = (project, label, modifier) => {
+        if (!project) {
+            return createElement('span', { className: `project-nav__link project-nav__link--${modifier}` });
+        }
+        
+        return createElement('a', {
+            className: `project-nav__link project-nav__link--${modifier}`,
+            href: getProjectUrl(project.id)
+        }, [
+            createElement('span', { className: 'project-nav__label text-nav' }, label),
+            createElement('span', { className: 'project-nav__title' }, project.title)
+        ]);
+    };
+    
+    const nav = createElement('nav', { className: 'project-nav' }, [
+        createSideLink(adjacent.previous, '← Предыдущий', 'prev'),
+        createElement('a', { className: 'project-nav__all text-nav', href: getHomeUrl() }, 'Все проекты'),
+        createSideLink(adjacent.next, 'Следующий →', 'next')
+    ]);
+    
+    nav.setAttribute('aria-label', 'Навигация по проектам');
     
-    // TODO: Render project details
+    return nav;
 }
 
 // UPDATED COMMENTS
@@ -1,71 +1,157 @@
 // ==============================================
 // API.JS - Data fetching and management
 // Purpose: Handle all data operations (fetch projects, filter, sort)
-// Dependencies: shared/markdown.js (for MD parsing)
-// Version: 2.0.0
+// Dependencies: shared/data-sources.js, shared/config.js, shared/search.js, shared/cache.js,
+//               shared/publishing.js, shared/request.js
+// Version: 3.4.0
 // REUSABLE LOGIC: Used across all pages for data access
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: loadProjects, getProjectById, filterProjects, getFeaturedProjects, loadLinks
-// DEPS: /data/links.json, shared/markdown.js
+// EXPORTS: loadProjects, getProjectById, getProjectResult, filterProjects, getFeaturedProjects,
+//          getTagCounts, sortProjects, SORT_OPTIONS, searchProjects, getRelatedProjects,
+//          getAdjacentProjects, loadLinks, onContentChange, invalidate
+// DEPS: /data/links.json, shared/data-sources.js, shared/config.js, shared/markdown.js,
+//       shared/search.js, shared/cache.js, shared/publishing.js, shared/request.js
 
-import { loadProjectFromMarkdown, getProjectFolders } from './markdown.js';
+import { DEFAULT_LOCALE } from './markdown.js';
+import { createDataSource } from './data-sources.js';
+import { DATA_SOURCE } from './config.js';
+import { createSearchIndex, searchIndex } from './search.js';
+import { cachedFetch, subscribe, invalidate as invalidateCache } from './cache.js';
+import { debounce } from './utils.js';
+import { getPublishStatus, isPreviewMode, PUBLISH_STATUS } from './publishing.js';
+import { ApiError, ERROR_TYPES, toApiError } from './request.js';
 
 const LINKS_URL = '/data/links.json';
-let cachedProjects = null;
+let cachedProjects = {}; // Keyed by locale
+let cachedUnlisted = {}; // Keyed by locale - reachable by id, not listed
+let cachedSearchIndex = {}; // Keyed by locale
+let pendingProjects = {}; // Keyed by locale - loads in flight
+
+// Related projects scoring - manual picks always come first
+const RELATED_WEIGHTS = {
+    manual: 100,
+    sharedTag: 3,
+    sameYear: 2 // Minus 1 per year apart, never negative
+};
+
+// Sort keys accepted by sortProjects() (first = default)
+export const SORT_OPTIONS = ['order', 'year', 'title'];
 let cachedLinks = null;
+let dataSource = null;
+const contentSubscribers = new Set();
+
+// Incremented when memory caches are cleared - a load started
+// before the clear must not store its stale result
+let cacheGeneration = 0;
+
+// Revalidation of many files finishes at different times - notify once
+const notifyContentChange = debounce(() => {
+    contentSubscribers.forEach(callback => {
+        try {
+            callback();
+        } catch (error) {
+            console.error('Content subscriber failed:', error);
+        }
+    });
+}, 100);
+
+// Background revalidation found new content - drop derived data
+subscribe(() => {
+    clearMemoryCache();
+    notifyContentChange();
+});
 
 // <!-- ANCHOR: loadProjects -->
 /**
- * Load all projects from markdown files
- * @returns {Promise<Object>} Projects data with metadata
+ * Load all projects from the configured data source
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @returns {Promise<Object>} { projects, metadata, error } - error is null or ApiError
  * 
- * LOGIC: Scans project folders, loads each project.md file,
- * parses frontmatter, and returns structured data.
- * Caches result to avoid multiple network requests.
+ * LOGIC: Delegates to the data source adapter picked in
+ * shared/config.js (markdown by default). Every adapter returns
+ * the same normalized project schema.
+ * Drafts and projects with future publishAt are dropped (kept in
+ * preview mode, with project.status set). Unlisted projects are
+ * left out of the list but getProjectById() still finds them.
+ * Caches result per locale to avoid multiple network requests.
+ * Concurrent calls on a cold cache share one in-flight load (e.g.
+ * the project page asks for project, related and adjacent at once).
+ * Failures return empty projects with a typed error (not cached,
+ * so calling again retries).
  * 
- * WHY: Decentralized CMS - each project folder contains its own
- * metadata in project.md file. No central JSON file needed.
+ * WHY: Pages don't know where content lives - moving to a CMS
+ * is a config change.
  * 
  * SCALED FOR: 100k users - implements caching strategy
  */
-export async function loadProjects() {
+export async function loadProjects(locale = DEFAULT_LOCALE) {
     // Return cached data if available
-    if (cachedProjects) {
-        return cachedProjects;
+    if (cachedProjects[locale]) {
+        return cachedProjects[locale];
     }
     
-    try {
-        const projectFolders = getProjectFolders();
-        
-        // Load all projects in parallel
-        const projectPromises = projectFolders.map(folder => 
-            loadProjectFromMarkdown(folder)
-        );
+    // Join a load already in flight instead of fetching again
+    if (!pendingProjects[locale]) {
+        const pending = fetchProjects(locale).finally(() => {
+            // A clear meanwhile may have started a newer load
+            if (pendingProjects[locale] === pending) {
+                delete pendingProjects[locale];
+            }
+        });
         
-        const projects = await Promise.all(projectPromises);
+        pendingProjects[locale] = pending;
+    }
+    
+    return pendingProjects[locale];
+}
+
+// <!-- ANCHOR: fetchProjects -->
+/**
+ * Load, filter and cache projects of one locale
+ * @param {string} locale - Language code
+ * @returns {Promise<Object>} { projects, metadata, error } - never rejects
+ */
+async function fetchProjects(locale) {
+    const generation = cacheGeneration;
+    
+    try {
+        const [{ projects, lastUpdated }, preview] = await Promise.all([
+            getDataSource().loadProjects(locale),
+            isPreviewMode()
+        ]);
         
-        // Filter out null results (failed loads)
-        const validProjects = projects.filter(p => p !== null);
+        // Publishing filter - status drives the DRAFT badge in preview
+        const visible = projects
+            .map(project => ({ ...project, status: getPublishStatus(project) }))
+            .filter(project => preview || project.status === PUBLISH_STATUS.published);
         
         // Build data structure
         const data = {
-            projects: validProjects,
+            projects: visible.filter(project => !project.unlisted),
             metadata: {
                 version: '2.0.0',
-                lastUpdated: new Date().toISOString(),
-                source: 'markdown'
-            }
+                // Content build time, not load time
+                lastUpdated,
+                source: getDataSource().name,
+                locale,
+                preview
+            },
+            error: null
         };
         
-        cachedProjects = data; // Cache for future requests
+        // Cache for future requests (unless content changed meanwhile)
+        if (generation === cacheGeneration) {
+            cachedProjects[locale] = data;
+            cachedUnlisted[locale] = visible.filter(project => project.unlisted);
+        }
         
         return data;
     } catch (error) {
         console.error('Failed to load projects:', error);
-        // Return empty structure on error
-        return { projects: [], metadata: {} };
+        // Return empty structure with typed error - UI shows retry
+        return { projects: [], metadata: {}, error: toApiError(error) };
     }
 }
 
@@ -73,56 +159,266 @@ export async function loadProjects() {
 /**
  * Get single project by ID
  * @param {string} id - Project unique identifier
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
  * @returns {Promise<Object|null>} Project object or null if not found
  * 
- * LOGIC: Loads all projects and filters by ID. Returns null
- * if project doesn't exist.
+ * LOGIC: Shortcut for getProjectResult() when the reason of a
+ * miss doesn't matter.
+ */
+export async function getProjectById(id, locale = DEFAULT_LOCALE) {
+    const { project } = await getProjectResult(id, locale);
+    return project;
+}
+
+// <!-- ANCHOR: getProjectResult -->
+/**
+ * Get single project by ID with typed error
+ * @param {string} id - Project unique identifier
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @returns {Promise<Object>} { project, error } - error is null or ApiError
+ * 
+ * LOGIC: Loads all projects and filters by ID. Missing or
+ * unpublished project = not-found error; failed load passes its
+ * error through (network, timeout, parse). Unlisted projects
+ * are found - direct links work.
+ * 
+ * REUSABLE LOGIC: Modal and project page pick error state by type
  */
-export async function getProjectById(id) {
-    const data = await loadProjects();
-    return data.projects.find(project => project.id === id) || null;
+export async function getProjectResult(id, locale = DEFAULT_LOCALE) {
+    const data = await loadProjects(locale);
+    
+    if (data.error) {
+        return { project: null, error: data.error };
+    }
+    
+    const unlisted = cachedUnlisted[locale] || [];
+    const project = data.projects.find(item => item.id === id)
+        || unlisted.find(item => item.id === id);
+    
+    if (!project) {
+        return {
+            project: null,
+            error: new ApiError(ERROR_TYPES.notFound, `Project "${id}" not found`)
+        };
+    }
+    
+    return { project, error: null };
 }
 
 // <!-- ANCHOR: filterProjects -->
 /**
- * Filter projects by tag
- * @param {string} tag - Tag to filter by
+ * Filter projects by one or several tags
+ * @param {string|string[]} tags - Tag or tags to filter by
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @param {string} match - 'any' (OR, default) or 'all' (AND)
  * @returns {Promise<Array>} Filtered projects array
  * 
- * LOGIC: Filters projects that include the specified tag.
- * Case-insensitive comparison.
+ * LOGIC: Keeps projects having any (or all) of the tags.
+ * Case-insensitive comparison. No tags = all projects.
  */
-export async function filterProjects(tag) {
-    const data = await loadProjects();
+export async function filterProjects(tags, locale = DEFAULT_LOCALE, match = 'any') {
+    const data = await loadProjects(locale);
+    const wanted = (Array.isArray(tags) ? tags : [tags])
+        .filter(Boolean)
+        .map(tag => tag.toLowerCase());
     
-    if (!tag) {
+    if (wanted.length === 0) {
         return data.projects;
     }
     
-    return data.projects.filter(project => 
-        project.tags.some(t => t.toLowerCase() === tag.toLowerCase())
+    return data.projects.filter(project => {
+        const projectTags = project.tags.map(tag => tag.toLowerCase());
+        const hasTag = tag => projectTags.includes(tag);
+        
+        return match === 'all' ? wanted.every(hasTag) : wanted.some(hasTag);
+    });
+}
+
+// <!-- ANCHOR: getTagCounts -->
+/**
+ * List tags in use with project counts
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @returns {Promise<Array>} [{ tag, count }] most used first, then A-Z
+ * 
+ * LOGIC: Tags differing only in case are merged, first spelling wins.
+ * 
+ * REUSABLE LOGIC: Used by landing filter bar
+ */
+export async function getTagCounts(locale = DEFAULT_LOCALE) {
+    const data = await loadProjects(locale);
+    const counts = new Map();
+    
+    data.projects.forEach(project => {
+        new Set(project.tags.map(tag => tag.toLowerCase())).forEach(key => {
+            const tag = project.tags.find(t => t.toLowerCase() === key);
+            const entry = counts.get(key) || { tag, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+    
+    return [...counts.values()].sort((a, b) =>
+        b.count - a.count || a.tag.localeCompare(b.tag)
     );
 }
 
+// <!-- ANCHOR: sortProjects -->
+/**
+ * Sort projects
+ * @param {Array} projects - Projects to sort (not mutated)
+ * @param {string} sortBy - 'order' (default), 'year' (newest first) or 'title' (A-Z)
+ * @returns {Array} Sorted copy
+ * 
+ * LOGIC: 'order' uses the frontmatter `order` field (lower first);
+ * projects without it keep folder order after ordered ones.
+ * Sort is stable, so ties keep folder order too.
+ */
+export function sortProjects(projects, sortBy = SORT_OPTIONS[0]) {
+    const compare = {
+        order: (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity),
+        year: (a, b) => b.year - a.year,
+        title: (a, b) => a.title.localeCompare(b.title)
+    }[sortBy];
+    
+    if (!compare) {
+        console.warn(`Unknown sort "${sortBy}", keeping folder order`);
+        return [...projects];
+    }
+    
+    // Infinity - Infinity is NaN: treat as equal
+    return [...projects].sort((a, b) => compare(a, b) || 0);
+}
+
 // <!-- ANCHOR: getFeaturedProjects -->
 /**
  * Get featured projects only
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
  * @returns {Promise<Array>} Featured projects array
  * 
  * LOGIC: Returns only projects marked as featured
  */
-export async function getFeaturedProjects() {
-    const data = await loadProjects();
+export async function getFeaturedProjects(locale = DEFAULT_LOCALE) {
+    const data = await loadProjects(locale);
     return data.projects.filter(project => project.featured);
 }
 
+// <!-- ANCHOR: searchProjects -->
+/**
+ * Full-text search over projects
+ * @param {string} query - Search query (Cyrillic or Latin, prefixes allowed)
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @returns {Promise<Array>} [{ project, score, terms }] best match first
+ * 
+ * LOGIC: Builds in-memory index over title, tags, year and markdown
+ * body once per locale, then ranks by field weight (title > tags >
+ * year > body). Every query word must match a word prefix.
+ * Empty query returns all projects in original order.
+ * 
+ * REUSABLE LOGIC: Used by landing search box
+ */
+export async function searchProjects(query, locale = DEFAULT_LOCALE) {
+    if (cachedSearchIndex[locale]) {
+        return searchIndex(cachedSearchIndex[locale], query);
+    }
+    
+    const generation = cacheGeneration;
+    const data = await loadProjects(locale);
+    const index = createSearchIndex(data.projects);
+    
+    // Don't cache empty index from a failed load or stale data
+    if (data.projects.length > 0 && generation === cacheGeneration) {
+        cachedSearchIndex[locale] = index;
+    }
+    
+    return searchIndex(index, query);
+}
+
+// <!-- ANCHOR: getRelatedProjects -->
+/**
+ * Get projects related to a project
+ * @param {string} id - Project ID
+ * @param {number} limit - Max projects to return (default: 3)
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @returns {Promise<Array>} Related projects, best match first
+ * 
+ * LOGIC: Scores every other project:
+ *   - listed in `related:` frontmatter: +100 (keeps list order)
+ *   - each shared tag (case-insensitive): +3
+ *   - year proximity: +2 same year, +1 one year apart
+ * Ties keep folder order. Zero-score projects still fill the
+ * strip, so visitors always have somewhere to go next.
+ * 
+ * REUSABLE LOGIC: Related strip in modal and project page
+ */
+export async function getRelatedProjects(id, limit = 3, locale = DEFAULT_LOCALE) {
+    const data = await loadProjects(locale);
+    // Unlisted project can have a strip, but never appears in one
+    const project = await getProjectById(id, locale);
+    
+    if (!project) {
+        return [];
+    }
+    
+    const tags = new Set(project.tags.map(tag => tag.toLowerCase()));
+    const manual = project.related || [];
+    
+    return data.projects
+        .filter(other => other.id !== id)
+        .map(other => {
+            const manualIndex = manual.indexOf(other.id);
+            const sharedTags = other.tags.filter(tag => tags.has(tag.toLowerCase())).length;
+            const yearScore = Math.max(0, RELATED_WEIGHTS.sameYear - Math.abs(other.year - project.year));
+            
+            let score = sharedTags * RELATED_WEIGHTS.sharedTag + yearScore;
+            
+            if (manualIndex !== -1) {
+                // Earlier in the list = higher
+                score += RELATED_WEIGHTS.manual * (manual.length - manualIndex);
+            }
+            
+            return { project: other, score };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ project: related }) => related);
+}
+
+// <!-- ANCHOR: getAdjacentProjects -->
+/**
+ * Get previous and next project in default grid order
+ * @param {string} id - Project ID
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @returns {Promise<Object>} { previous, next } - project or null at list ends
+ * 
+ * LOGIC: Same order as the landing grid without filters
+ * (sortProjects default). Unlisted project isn't in the list,
+ * so it has no neighbours.
+ * 
+ * REUSABLE LOGIC: Prev/next navigation on project page
+ */
+export async function getAdjacentProjects(id, locale = DEFAULT_LOCALE) {
+    const data = await loadProjects(locale);
+    const ordered = sortProjects(data.projects);
+    const index = ordered.findIndex(project => project.id === id);
+    
+    if (index === -1) {
+        return { previous: null, next: null };
+    }
+    
+    return {
+        previous: ordered[index - 1] || null,
+        next: ordered[index + 1] || null
+    };
+}
+
 // <!-- ANCHOR: loadLinks -->
 /**
  * Load social links from JSON file
- * @returns {Promise<Object>} Links data with metadata
+ * @returns {Promise<Object>} Links data with metadata and error (null or ApiError)
  * 
  * LOGIC: Fetches links.json and caches result to avoid
  * multiple network requests. Returns full data structure.
+ * Failure = empty structure with typed error, not cached.
  * 
  * REUSABLE LOGIC: Used for header, footer, contact sections
  */
@@ -132,22 +428,87 @@ export async function loadLinks() {
         return cachedLinks;
     }
     
+    const generation = cacheGeneration;
+    
     try {
-        const response = await fetch(LINKS_URL);
+        // Persistent copy served instantly, revalidated in background
+        const response = await cachedFetch(LINKS_URL);
+        let data;
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        try {
+            data = { ...JSON.parse(response.body), error: null };
+        } catch (error) {
+            throw new ApiError(ERROR_TYPES.parse, `Invalid JSON in ${LINKS_URL}: ${error.message}`, { url: LINKS_URL });
         }
         
-        const data = await response.json();
-        cachedLinks = data; // Cache for future requests
+        // Cache for future requests (unless content changed meanwhile)
+        if (generation === cacheGeneration) {
+            cachedLinks = data;
+        }
         
         return data;
     } catch (error) {
         console.error('Failed to load links:', error);
-        // Return empty structure on error
-        return { social: {}, metadata: {} };
+        // Return empty structure with typed error - UI shows retry
+        return { social: {}, metadata: {}, error: toApiError(error, ERROR_TYPES.network, LINKS_URL) };
+    }
+}
+
+// <!-- ANCHOR: onContentChange -->
+/**
+ * Subscribe to content updates
+ * @param {Function} callback - Called after cached content changed on server
+ * @returns {Function} Unsubscribe function
+ * 
+ * LOGIC: Cached data is shown first; when background revalidation
+ * finds a changed file, memory caches are dropped and callback
+ * runs (once per burst). Callback re-renders with fresh data.
+ * 
+ * REUSABLE LOGIC: Used by landing grid, footer links
+ */
+export function onContentChange(callback) {
+    contentSubscribers.add(callback);
+    return () => contentSubscribers.delete(callback);
+}
+
+// <!-- ANCHOR: invalidate -->
+/**
+ * Drop all cached content (memory + persistent)
+ * @returns {void}
+ * 
+ * LOGIC: Next load goes to network. Use after publishing content
+ * or from devtools: (await import('/assets/js/shared/api.js')).invalidate()
+ */
+export function invalidate() {
+    clearMemoryCache();
+    invalidateCache();
+}
+
+// <!-- ANCHOR: clearMemoryCache -->
+/**
+ * Reset in-memory caches
+ * @returns {void}
+ */
+function clearMemoryCache() {
+    cacheGeneration++;
+    cachedProjects = {};
+    cachedUnlisted = {};
+    cachedSearchIndex = {};
+    pendingProjects = {};
+    cachedLinks = null;
+}
+
+// <!-- ANCHOR: getDataSource -->
+/**
+ * Get configured data source (created on first use)
+ * @returns {Object} Data source from createDataSource()
+ */
+function getDataSource() {
+    if (!dataSource) {
+        dataSource = createDataSource(DATA_SOURCE);
     }
+    
+    return dataSource;
 }
 
 // UPDATED COMMENTS
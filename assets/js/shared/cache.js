@@ -0,0 +1,243 @@
+// ==============================================
+// CACHE.JS - Persistent stale-while-revalidate cache
+// Purpose: Serve last known content instantly, refresh in background
+// Dependencies: shared/request.js, localStorage (optional - falls back to plain fetch)
+// Version: 1.1.0
+// REUSABLE LOGIC: Used by api.js and markdown.js for all content fetches
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: cachedFetch, subscribe, invalidate
+// DEPS: shared/request.js
+
+import { fetchWithRetry, ERROR_TYPES } from './request.js';
+
+// Bump version to drop entries written by an incompatible format
+const STORAGE_PREFIX = 'portfolio-cache:v1:';
+
+const subscribers = new Set();
+
+// URLs already revalidated during this page load
+const revalidated = new Set();
+
+// <!-- ANCHOR: cachedFetch -->
+/**
+ * Fetch text resource with stale-while-revalidate
+ * @param {string} url - Resource URL
+ * @returns {Promise<Object>} { body, fromCache } - body is text
+ * @throws {ApiError} not-found, network or timeout (only without stored copy)
+ *
+ * LOGIC: Stored copy is returned immediately and revalidated once
+ * per page load in background with If-None-Match / If-Modified-Since.
+ * 304 = nothing to do. 200 with a different body = store and
+ * notify subscribers. No stored copy = fetch with timeout/retry,
+ * then store. Only successful responses are stored.
+ *
+ * WHY: Repeat visitors see the grid with no network wait, content
+ * edits still show up within the same visit.
+ *
+ * SCALED FOR: 100k users - revalidation is a conditional request (304, no body)
+ */
+export async function cachedFetch(url) {
+    const entry = readEntry(url);
+
+    if (entry) {
+        revalidate(url, entry);
+        return { body: entry.body, fromCache: true };
+    }
+
+    const { response, body } = await fetchWithRetry(url);
+
+    writeEntry(url, createEntry(response, body));
+    revalidated.add(url); // Just fetched - fresh for this page load
+
+    return { body, fromCache: false };
+}
+
+// <!-- ANCHOR: subscribe -->
+/**
+ * Subscribe to content changes found by revalidation
+ * @param {Function} callback - Called with changed URL
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(callback) {
+    subscribers.add(callback);
+    return () => subscribers.delete(callback);
+}
+
+// <!-- ANCHOR: invalidate -->
+/**
+ * Drop stored copies
+ * @param {string} [url] - Resource URL, omit to drop everything
+ *
+ * LOGIC: Next cachedFetch() of the URL goes to network.
+ * Error state retry uses it - a stored copy is revalidated only
+ * once per page load.
+ */
+export function invalidate(url) {
+    const storage = getStorage();
+
+    if (url) {
+        revalidated.delete(url);
+        storage?.removeItem(STORAGE_PREFIX + url);
+        return;
+    }
+
+    revalidated.clear();
+
+    if (!storage) {
+        return;
+    }
+
+    // Collect first - removing while iterating shifts indexes
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key && key.startsWith(STORAGE_PREFIX)) {
+            keys.push(key);
+        }
+    }
+
+    keys.forEach(key => storage.removeItem(key));
+}
+
+// <!-- ANCHOR: revalidate -->
+/**
+ * Check stored copy against server in background
+ * @param {string} url - Resource URL
+ * @param {Object} entry - Stored entry { body, etag, lastModified }
+ * @returns {Promise<void>}
+ */
+async function revalidate(url, entry) {
+    if (revalidated.has(url)) {
+        return;
+    }
+
+    revalidated.add(url);
+
+    const headers = {};
+
+    if (entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+
+    if (entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    try {
+        // no-store: skip browser HTTP cache so 304 reaches us.
+        // No retries - stale copy is already on screen
+        const { response, body } = await fetchWithRetry(url, {
+            retries: 0,
+            init: { headers, cache: 'no-store' }
+        });
+
+        if (response.status === 304) {
+            return;
+        }
+
+        writeEntry(url, createEntry(response, body));
+
+        // Validators can change without content change (redeploy)
+        if (body !== entry.body) {
+            notify(url);
+        }
+    } catch (error) {
+        // Removed on server - drop copy so next load sees it missing
+        if (error.type === ERROR_TYPES.notFound) {
+            invalidate(url);
+            notify(url);
+            return;
+        }
+
+        // Offline - stale copy stays in use
+        console.warn(`Revalidation failed for ${url}:`, error);
+    }
+}
+
+// <!-- ANCHOR: notify -->
+/**
+ * Call subscribers for changed URL
+ * @param {string} url - Changed resource URL
+ */
+function notify(url) {
+    subscribers.forEach(callback => {
+        try {
+            callback(url);
+        } catch (error) {
+            console.error('Cache subscriber failed:', error);
+        }
+    });
+}
+
+// <!-- ANCHOR: createEntry -->
+/**
+ * Build stored entry from response
+ * @param {Response} response - Fetch response
+ * @param {string} body - Response text
+ * @returns {Object} { body, etag, lastModified, storedAt }
+ */
+function createEntry(response, body) {
+    return {
+        body,
+        etag: response.headers?.get('ETag') || null,
+        lastModified: response.headers?.get('Last-Modified') || null,
+        storedAt: new Date().toISOString()
+    };
+}
+
+// <!-- ANCHOR: readEntry -->
+/**
+ * Read stored entry
+ * @param {string} url - Resource URL
+ * @returns {Object|null} Entry or null if missing/corrupt
+ */
+function readEntry(url) {
+    const storage = getStorage();
+
+    if (!storage) {
+        return null;
+    }
+
+    try {
+        const entry = JSON.parse(storage.getItem(STORAGE_PREFIX + url));
+        return entry && typeof entry.body === 'string' ? entry : null;
+    } catch (error) {
+        storage.removeItem(STORAGE_PREFIX + url);
+        return null;
+    }
+}
+
+// <!-- ANCHOR: writeEntry -->
+/**
+ * Store entry, ignoring quota errors
+ * @param {string} url - Resource URL
+ * @param {Object} entry - Entry to store
+ */
+function writeEntry(url, entry) {
+    const storage = getStorage();
+
+    try {
+        storage?.setItem(STORAGE_PREFIX + url, JSON.stringify(entry));
+    } catch (error) {
+        // Quota exceeded or storage disabled - cache is optional
+        console.warn(`Failed to cache ${url}:`, error);
+    }
+}
+
+// <!-- ANCHOR: getStorage -->
+/**
+ * Get localStorage if usable
+ * @returns {Storage|null} Storage or null (Node, private mode, disabled)
+ */
+function getStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        // Accessing localStorage throws when cookies are blocked
+        return null;
+    }
+}
+
+// UPDATED COMMENTS
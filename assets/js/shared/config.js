@@ -0,0 +1,62 @@
+// ==============================================
+// CONFIG.JS - Site configuration
+// Purpose: Single place for settings that change per deployment
+// Dependencies: None
+// Version: 1.0.0
+// REUSABLE LOGIC: Imported by shared modules, never by content
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: DATA_SOURCE, PREVIEW, SITE
+// DEPS: none
+
+// <!-- ANCHOR: DATA_SOURCE -->
+/**
+ * Where project content comes from
+ *
+ * type: 'markdown' - assets/projects/<folder>/project.md + data/manifest.json (default)
+ *       'json'     - one JSON file, url defaults to /data/projects.json
+ *       'http'     - headless CMS / any HTTP endpoint returning a project list,
+ *                    requested as GET url?locale=xx (e.g. http://localhost:4000/projects)
+ * url: endpoint for 'json' and 'http' (ignored by 'markdown')
+ * headers: extra request headers for 'http' (e.g. read-only API token)
+ *
+ * Pages never read this - switching source is a one-line change here.
+ */
+export const DATA_SOURCE = {
+    type: 'markdown',
+    url: null,
+    headers: {}
+};
+
+// <!-- ANCHOR: PREVIEW -->
+/**
+ * Preview mode for draft / scheduled projects (?preview=<token>)
+ *
+ * tokenHash: SHA-256 hex of the token, empty = preview disabled
+ *            in production (localhost accepts any ?preview value).
+ *            Generate: printf '%s' 'my-token' | sha256sum
+ */
+export const PREVIEW = {
+    tokenHash: ''
+};
+
+// <!-- ANCHOR: SITE -->
+/**
+ * Site identity for SEO tags, link previews and prerendering
+ *
+ * url: production origin without trailing slash, e.g. https://example.com.
+ *      Needed for absolute canonical/og:url in prerendered pages;
+ *      empty = browser uses the current origin, the Vercel build
+ *      (scripts/prerender.mjs) uses the project's production domain.
+ * image: default link preview image (root-relative)
+ */
+export const SITE = {
+    url: '',
+    name: 'Portfolio',
+    author: 'Vladislav Yamachev',
+    description: 'UI/UX дизайнер: посадочные страницы для EdTech, IT-стартапов и digital-продуктов',
+    image: '/assets/images/image 8.jpg'
+};
+
+// UPDATED COMMENTS
@@ -0,0 +1,404 @@
+// ==============================================
+// DATA-SOURCES.JS - Project data source adapters
+// Purpose: Load projects from markdown, JSON or HTTP/CMS in one schema
+// Dependencies: shared/markdown.js, shared/media.js, shared/cache.js, shared/request.js, shared/utils.js
+// Version: 1.3.0
+// REUSABLE LOGIC: Used by api.js - pages never talk to a source directly
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: createDataSource, normalizeProject, DATA_SOURCE_TYPES
+// DEPS: shared/markdown.js, shared/media.js, shared/cache.js, shared/request.js, shared/utils.js
+
+import { loadProjectFromMarkdown, renderMarkdown, DEFAULT_LOCALE } from './markdown.js';
+import { normalizeMedia, normalizeSources, normalizePlaceholder } from './media.js';
+import { cachedFetch } from './cache.js';
+import { fetchWithRetry, ApiError, ERROR_TYPES } from './request.js';
+import { resolveSafeUrl } from './utils.js';
+
+// Generated by: node scripts/build-manifest.mjs
+const MANIFEST_URL = '/data/manifest.json';
+const PROJECTS_JSON_URL = '/data/projects.json';
+
+// <!-- ANCHOR: ADAPTERS -->
+/**
+ * Adapter registry: type -> factory(config) -> adapter
+ *
+ * Adapter interface:
+ *   name: string
+ *   loadProjects(locale): Promise<{ projects: raw[], lastUpdated: string|null }>
+ *
+ * Adapters return raw records, createDataSource() runs every record
+ * through normalizeProject(). Adapters throw ApiError on source-level
+ * failures (manifest/endpoint unreachable or broken); api.js turns
+ * them into error results.
+ */
+const ADAPTERS = {
+    markdown: createMarkdownAdapter,
+    json: createJsonAdapter,
+    http: createHttpAdapter
+};
+
+export const DATA_SOURCE_TYPES = Object.keys(ADAPTERS);
+
+// <!-- ANCHOR: createDataSource -->
+/**
+ * Create data source from config
+ * @param {Object} config - { type, url, headers } (see shared/config.js)
+ * @returns {Object} { name, loadProjects(locale) } returning normalized projects
+ *
+ * LOGIC: Unknown type falls back to markdown with a warning, so a
+ * config typo doesn't blank the site.
+ */
+export function createDataSource(config = {}) {
+    let factory = ADAPTERS[config.type];
+
+    if (!factory) {
+        console.warn(`Unknown data source "${config.type}", using markdown`);
+        factory = ADAPTERS.markdown;
+    }
+
+    const adapter = factory(config);
+
+    return {
+        name: adapter.name,
+        async loadProjects(locale = DEFAULT_LOCALE) {
+            const { projects, lastUpdated } = await adapter.loadProjects(locale);
+
+            return {
+                projects: projects
+                    .map(raw => normalizeProject(raw, { locale, source: adapter.name }))
+                    .filter(project => project !== null),
+                lastUpdated: lastUpdated || null
+            };
+        }
+    };
+}
+
+// <!-- ANCHOR: normalizeProject -->
+/**
+ * Normalize raw record to the project schema
+ * @param {Object} raw - Record from an adapter
+ * @param {Object} context - { locale, source } for defaults and warnings
+ * @returns {Object|null} Project or null if record has no id
+ *
+ * Project schema (every source):
+ *   id, folder, locale, title, year (number), date, link, tags[],
+ *   techStack[], featured, order, related[] (ids), draft, publishAt,
+ *   unlisted, summary, description (markdown), html, thumbnail,
+ *   images [{ src, width, height, alt, sources, placeholder }],
+ *   media [{ type, src, alt, caption, poster, ratio, width, height, sources, placeholder }]
+ *
+ * sources = responsive variants [{ src, width, format }] and
+ * placeholder = { color, src } blur-up data, both from
+ * scripts/build-images.mjs (empty / null = original file only).
+ *
+ * images = numbered folder images (thumbnail, shortcodes, og:image),
+ * media = gallery in the declared order; without a declared list
+ * it is the images.
+ *
+ * WHY: Pages, search and filters rely on types - "2025" vs 2025 or
+ * links.live vs link must not leak past this point.
+ */
+export function normalizeProject(raw, context = {}) {
+    if (!raw || typeof raw !== 'object' || !raw.id) {
+        console.warn(`Skipping ${context.source || 'source'} record without id:`, raw);
+        return null;
+    }
+
+    const folder = raw.folder ? String(raw.folder) : String(raw.id);
+    const images = normalizeImages(raw.images);
+    const media = normalizeMedia(raw.media, { baseUrl: `/assets/projects/${folder}/`, known: images });
+    const year = Number.parseInt(raw.year, 10) || yearFromDate(raw.date) || new Date().getFullYear();
+
+    return {
+        id: String(raw.id),
+        folder,
+        locale: raw.locale || context.locale || DEFAULT_LOCALE,
+        title: raw.title ? String(raw.title) : 'Untitled Project',
+        year,
+        date: raw.date ? String(raw.date) : null,
+        link: (raw.link && resolveSafeUrl(String(raw.link))) || '',
+        tags: toStringList(raw.tags),
+        techStack: toStringList(raw.techStack),
+        featured: raw.featured === true,
+        order: Number.isInteger(raw.order) ? raw.order : null,
+        related: toStringList(raw.related),
+        draft: raw.draft === true,
+        publishAt: raw.publishAt ? String(raw.publishAt) : null,
+        unlisted: raw.unlisted === true,
+        summary: typeof raw.summary === 'string' ? raw.summary : '',
+        description: typeof raw.description === 'string' ? raw.description : '',
+        html: typeof raw.html === 'string' ? raw.html : '',
+        thumbnail: (raw.thumbnail && resolveSafeUrl(String(raw.thumbnail))) || (images[0] ? images[0].src : ''),
+        images,
+        media: media.length > 0 ? media : normalizeMedia(images)
+    };
+}
+
+// <!-- ANCHOR: createMarkdownAdapter -->
+/**
+ * Markdown source: manifest + project.md per folder
+ * @returns {Object} Adapter
+ *
+ * LOGIC: Manifest lists folders, locales, images and the resolved
+ * media list; each folder's project.md (plus project.{locale}.md
+ * if listed) is loaded in parallel. A `media` list in the loaded
+ * frontmatter wins over the manifest one, so a translation can
+ * bring its own alt texts and captions. Broken or missing files are skipped, not fatal
+ * (lint reports them). Network/timeout errors fail the whole load
+ * - a half-empty grid would look like lost projects.
+ */
+function createMarkdownAdapter() {
+    return {
+        name: 'markdown',
+        async loadProjects(locale) {
+            const manifest = await fetchJson(MANIFEST_URL);
+
+            const projects = await Promise.all((manifest.projects || []).map(async entry => {
+                // Only request variants that exist - avoids 404 per project
+                const hasVariant = (entry.locales || []).includes(locale);
+
+                // Images come from manifest - no HEAD probing needed
+                const images = entry.images || [];
+
+                let project;
+
+                try {
+                    project = await loadProjectFromMarkdown(
+                        entry.folder,
+                        hasVariant ? locale : DEFAULT_LOCALE,
+                        { images }
+                    );
+                } catch (error) {
+                    if (error.retryable) {
+                        throw error;
+                    }
+
+                    console.error(`Skipping project ${entry.folder}:`, error.message);
+                    return null;
+                }
+
+                // Sizes of non-numbered images are only known to the manifest
+                const media = project.media
+                    ? normalizeMedia(project.media, {
+                        baseUrl: `/assets/projects/${entry.folder}/`,
+                        known: [...images, ...(entry.media || [])]
+                    })
+                    : entry.media;
+
+                return {
+                    ...project,
+                    folder: entry.folder,
+                    thumbnail: images.length > 0 ? images[0].src : project.thumbnail,
+                    images,
+                    media
+                };
+            }));
+
+            return {
+                projects: projects.filter(Boolean),
+                lastUpdated: manifest.metadata?.generatedAt
+            };
+        }
+    };
+}
+
+// <!-- ANCHOR: createJsonAdapter -->
+/**
+ * JSON source: single file with { projects: [...] }
+ * @param {Object} config - { url } (default /data/projects.json)
+ * @returns {Object} Adapter
+ *
+ * LOGIC: One language only - locale is ignored.
+ */
+function createJsonAdapter(config) {
+    const url = config.url || PROJECTS_JSON_URL;
+
+    return {
+        name: 'json',
+        async loadProjects() {
+            const data = await fetchJson(url);
+
+            return {
+                projects: toRecordList(data).map(item => mapRecord(item, DEFAULT_LOCALE)),
+                lastUpdated: data.metadata?.lastUpdated
+            };
+        }
+    };
+}
+
+// <!-- ANCHOR: createHttpAdapter -->
+/**
+ * HTTP / headless CMS source
+ * @param {Object} config - { url, headers }
+ * @returns {Object} Adapter
+ *
+ * LOGIC: GET url?locale=xx. Response may be an array or an object
+ * with projects/items/data array (common CMS shapes). Records use
+ * the JSON field names (see mapRecord).
+ *
+ * WHY: No persistent caching - CMS decides freshness via HTTP headers.
+ */
+function createHttpAdapter(config) {
+    return {
+        name: 'http',
+        async loadProjects(locale) {
+            if (!config.url) {
+                throw new Error('Data source "http" needs url in config');
+            }
+
+            const url = new URL(config.url, globalThis.location?.origin);
+            url.searchParams.set('locale', locale);
+
+            const { response, body } = await fetchWithRetry(url.toString(), {
+                init: { headers: config.headers || {} }
+            });
+            const data = parseJson(body, url.toString());
+
+            return {
+                projects: toRecordList(data).map(item => mapRecord(item, locale)),
+                lastUpdated: data.metadata?.lastUpdated || response.headers.get('Last-Modified')
+            };
+        }
+    };
+}
+
+// <!-- ANCHOR: mapRecord -->
+/**
+ * Map JSON/CMS record field names to raw project
+ * @param {Object} item - Record (data/projects.json shape)
+ * @param {string} locale - Requested language
+ * @returns {Object} Raw project for normalizeProject()
+ *
+ * LOGIC: links.live -> link, fullDescription/body -> description,
+ * shortDescription/excerpt -> summary.
+ * HTML is always rendered from markdown here - HTML sent by a
+ * source is ignored, it was not escaped by renderMarkdown.
+ */
+function mapRecord(item, locale) {
+    if (!item || typeof item !== 'object') {
+        return item;
+    }
+
+    const description = item.description ?? item.fullDescription ?? item.body ?? '';
+
+    return {
+        ...item,
+        locale: item.locale || locale,
+        link: item.link || item.links?.live || '',
+        summary: String(item.summary ?? item.shortDescription ?? item.excerpt ?? ''),
+        description: String(description),
+        html: renderMarkdown(String(description), {
+            baseUrl: item.folder ? `/assets/projects/${item.folder}/` : '',
+            images: normalizeImages(item.images)
+        })
+    };
+}
+
+// <!-- ANCHOR: fetchJson -->
+/**
+ * Fetch JSON through persistent cache
+ * @param {string} url - JSON URL
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {ApiError} not-found, network, timeout or parse
+ */
+async function fetchJson(url) {
+    // Persistent copy served instantly, revalidated in background
+    const response = await cachedFetch(url);
+
+    return parseJson(response.body, url);
+}
+
+// <!-- ANCHOR: parseJson -->
+/**
+ * Parse JSON response text
+ * @param {string} text - Response body
+ * @param {string} url - Source URL (for error)
+ * @returns {Object} Parsed value
+ * @throws {ApiError} parse
+ */
+function parseJson(text, url) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ApiError(ERROR_TYPES.parse, `Invalid JSON in ${url}: ${error.message}`, { url, cause: error });
+    }
+}
+
+// <!-- ANCHOR: normalizeImages -->
+/**
+ * Normalize image list
+ * @param {Array} images - Strings or { src|url, width, height, alt, sources, placeholder }
+ * @returns {Object[]} [{ src, width, height, alt, sources, placeholder }] with unsafe URLs dropped
+ */
+function normalizeImages(images) {
+    if (!Array.isArray(images)) {
+        return [];
+    }
+
+    return images
+        .map(image => (typeof image === 'string' ? { src: image } : image))
+        .filter(image => image && typeof image === 'object')
+        .map(image => ({
+            src: resolveSafeUrl(String(image.src || image.url || '')),
+            width: Number.isFinite(image.width) ? image.width : null,
+            height: Number.isFinite(image.height) ? image.height : null,
+            alt: typeof image.alt === 'string' ? image.alt : '',
+            sources: normalizeSources(image.sources),
+            placeholder: normalizePlaceholder(image.placeholder)
+        }))
+        .filter(image => image.src);
+}
+
+// <!-- ANCHOR: toRecordList -->
+/**
+ * Extract record array from response
+ * @param {Array|Object} data - Response body
+ * @returns {Object[]} Records
+ */
+function toRecordList(data) {
+    if (Array.isArray(data)) {
+        return data;
+    }
+
+    const list = data && (data.projects || data.items || data.data);
+
+    return Array.isArray(list) ? list : [];
+}
+
+// <!-- ANCHOR: toStringList -->
+/**
+ * Convert list items to non-empty strings
+ * @param {*} value - Anything
+ * @returns {string[]} Trimmed strings
+ *
+ * LOGIC: Numbers become strings (CMS tag 2024, related id 7),
+ * null, objects and blank items are dropped.
+ *
+ * WHY: Search, tag filter and related scoring call string methods
+ * on every item - a number or null tag would throw in the grid.
+ */
+function toStringList(value) {
+    if (!Array.isArray(value)) {
+        return [];
+    }
+
+    return value
+        .filter(item => typeof item === 'string' || (typeof item === 'number' && Number.isFinite(item)))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// <!-- ANCHOR: yearFromDate -->
+/**
+ * Get year from ISO date
+ * @param {string} date - e.g. "2025-01-01"
+ * @returns {number|null} Year or null
+ */
+function yearFromDate(date) {
+    const match = typeof date === 'string' && date.match(/^(\d{4})/);
+    return match ? Number(match[1]) : null;
+}
+
+// UPDATED COMMENTS
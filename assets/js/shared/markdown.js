@@ -1,150 +1,633 @@
 // ==============================================
-// MARKDOWN.JS - Markdown frontmatter parser
-// Purpose: Parse YAML frontmatter from markdown files
-// Dependencies: None (vanilla JS regex)
-// Version: 1.0.0
+// MARKDOWN.JS - Markdown frontmatter parser and renderer
+// Purpose: Parse YAML frontmatter and render markdown body to HTML
+// Dependencies: shared/yaml.js, shared/utils.js, shared/shortcodes.js, shared/cache.js,
+//               shared/request.js
+// Version: 1.3.0
 // REUSABLE LOGIC: Used for project metadata extraction
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: parseFrontmatter, loadProjectFromMarkdown
-// DEPS: None
+// EXPORTS: parseFrontmatter, renderMarkdown, loadProjectFromMarkdown, getMarkdownFileName,
+//          DEFAULT_LOCALE, SUPPORTED_LOCALES
+// DEPS: shared/yaml.js, shared/utils.js, shared/shortcodes.js, shared/cache.js, shared/request.js
+
+import { parseYaml, YamlError } from './yaml.js';
+import { escapeHTML, slugify, resolveSafeUrl, isDevelopment } from './utils.js';
+import { renderShortcode } from './shortcodes.js';
+import { cachedFetch } from './cache.js';
+import { ApiError, ERROR_TYPES, toApiError } from './request.js';
+
+// Language of project.md; other languages live in project.{locale}.md
+export const DEFAULT_LOCALE = 'ru';
+export const SUPPORTED_LOCALES = ['ru', 'en'];
 
 // <!-- ANCHOR: parseFrontmatter -->
 /**
  * Parse YAML frontmatter from markdown content
  * @param {string} content - Raw markdown content with frontmatter
  * @returns {Object} Parsed frontmatter object and body content
+ * @throws {YamlError} When frontmatter is malformed (error.line = file line)
  * 
  * LOGIC: Extracts YAML frontmatter between --- delimiters,
- * parses key-value pairs, and returns structured data.
+ * parses it with the YAML subset parser, and returns structured data.
  * 
- * WHY: Custom parser avoids external dependencies. Only handles
- * simple YAML syntax (key: value, arrays with commas).
+ * WHY: Custom parser avoids external dependencies. Handles quoted
+ * strings, lists, nested maps and multi-line strings (see yaml.js).
  * 
- * SCALED FOR: 100k users - regex-based, O(n) complexity
+ * SCALED FOR: 100k users - single pass over lines, O(n) complexity
  */
 export function parseFrontmatter(content) {
+    const normalized = content.replace(/\r\n?/g, '\n');
+    
     // Match frontmatter between --- delimiters
-    const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/;
-    const match = content.match(frontmatterRegex);
+    const frontmatterRegex = /^---[ \t]*\n([\s\S]*?\n)?---[ \t]*(?:\n|$)([\s\S]*)$/;
+    const match = normalized.match(frontmatterRegex);
     
     if (!match) {
+        // Opening delimiter without closing one is a mistake, not plain markdown
+        if (/^---[ \t]*\n/.test(normalized)) {
+            throw new YamlError('Frontmatter is not closed with ---', 1);
+        }
+        
         // No frontmatter found, return empty metadata
         return {
             metadata: {},
-            body: content
+            body: normalized
         };
     }
     
-    const [, frontmatterText, body] = match;
-    const metadata = {};
+    const [, frontmatterText = '', body] = match;
     
-    // Parse each line of frontmatter
-    const lines = frontmatterText.split('\n');
+    // Frontmatter starts on line 2 of the file (after opening ---)
+    const metadata = parseYaml(frontmatterText, 1);
     
-    for (const line of lines) {
-        // Skip empty lines and comments
-        if (!line.trim() || line.trim().startsWith('#')) {
+    return {
+        metadata,
+        body: body.trim()
+    };
+}
+
+// <!-- ANCHOR: renderMarkdown -->
+/**
+ * Render markdown body to safe HTML string
+ * @param {string} markdown - Markdown text (frontmatter already removed)
+ * @param {Object} options - Render options
+ * @param {string} options.baseUrl - Prefix for relative link/image URLs (default: '')
+ * @param {Object[]} options.images - Project images for shortcodes (default: [])
+ * @param {boolean} options.dev - Show shortcode warnings (default: isDevelopment())
+ * @returns {string} HTML string safe for innerHTML
+ * 
+ * LOGIC: Block pass (headings, paragraphs, lists, blockquotes,
+ * fenced code, hr, ::: shortcodes) then inline pass (emphasis,
+ * links, images, code).
+ * All text is escaped; raw HTML in markdown is shown as text.
+ * Links/images with unsafe schemes (javascript:, data:) are dropped.
+ * Headings get unique slug ids for anchor links.
+ * 
+ * WHY: Zero-dependency renderer for case study content.
+ * REUSABLE LOGIC: Used by modal, project page and build scripts
+ */
+export function renderMarkdown(markdown, options = {}) {
+    const context = {
+        baseUrl: options.baseUrl || '',
+        images: options.images || [],
+        dev: options.dev ?? isDevelopment(),
+        slugs: new Map()
+    };
+    
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    
+    return renderBlocks(lines, context);
+}
+
+// Block-level patterns
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+const HEADING_REGEX = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const HR_REGEX = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const BLOCKQUOTE_REGEX = /^ {0,3}>/;
+const LIST_ITEM_REGEX = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+
+// Shortcodes: "::: name args :::" (single line) or "::: name args" ... ":::" (block)
+const SHORTCODE_INLINE_REGEX = /^ {0,3}:::\s*([a-z][\w-]*)(.*?)\s*:::\s*$/i;
+const SHORTCODE_OPEN_REGEX = /^ {0,3}:::\s*([a-z][\w-]*)(.*)$/i;
+const SHORTCODE_CLOSE_REGEX = /^ {0,3}:::\s*$/;
+
+// <!-- ANCHOR: renderBlocks -->
+/**
+ * Render block-level markdown lines
+ * @param {string[]} lines - Markdown lines
+ * @param {Object} context - Render context (baseUrl, slugs)
+ * @returns {string} HTML
+ */
+function renderBlocks(lines, context) {
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        
+        // Fenced code block - content is never parsed
+        const fence = line.match(FENCE_REGEX);
+        if (fence) {
+            const code = [];
+            i++;
+            
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            
+            i++; // Skip closing fence
+            const langClass = fence[2] ? ` class="language-${escapeHTML(fence[2])}"` : '';
+            html.push(`<pre><code${langClass}>${escapeHTML(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        // Heading with slug id
+        const heading = line.match(HEADING_REGEX);
+        if (heading) {
+            const level = heading[1].length;
+            const content = renderInline(heading[2] || '', context);
+            const id = uniqueSlug(content, context.slugs);
+            html.push(`<h${level} id="${id}">${content}</h${level}>`);
+            i++;
+            continue;
+        }
+        
+        if (HR_REGEX.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+        
+        // Single-line shortcode: ::: metric value="35%" :::
+        const inlineShortcode = line.match(SHORTCODE_INLINE_REGEX);
+        if (inlineShortcode) {
+            html.push(renderShortcode(inlineShortcode[1].toLowerCase(), inlineShortcode[2], '', context));
+            i++;
             continue;
         }
         
-        // Parse key: value pairs
-        const colonIndex = line.indexOf(':');
-        if (colonIndex === -1) {
+        // Block shortcode - inner lines are markdown, nested blocks allowed
+        const blockShortcode = line.match(SHORTCODE_OPEN_REGEX);
+        if (blockShortcode) {
+            const inner = [];
+            let depth = 1;
+            i++;
+            
+            while (i < lines.length) {
+                if (SHORTCODE_CLOSE_REGEX.test(lines[i])) {
+                    depth--;
+                } else if (SHORTCODE_OPEN_REGEX.test(lines[i]) && !SHORTCODE_INLINE_REGEX.test(lines[i])) {
+                    depth++;
+                }
+                
+                if (depth === 0) {
+                    break;
+                }
+                
+                inner.push(lines[i]);
+                i++;
+            }
+            
+            i++; // Skip closing :::
+            html.push(renderShortcode(blockShortcode[1].toLowerCase(), blockShortcode[2], renderBlocks(inner, context), context));
             continue;
         }
         
-        const key = line.substring(0, colonIndex).trim();
-        let value = line.substring(colonIndex + 1).trim();
-        
-        // Handle different value types
-        if (value === 'true') {
-            value = true;
-        } else if (value === 'false') {
-            value = false;
-        } else if (!isNaN(value) && value !== '') {
-            value = Number(value);
-        } else if (value.includes(',')) {
-            // Handle comma-separated arrays (tags: UI/UX, Website)
-            value = value.split(',').map(v => v.trim());
+        // Blockquote - strip markers and render contents recursively
+        if (BLOCKQUOTE_REGEX.test(line)) {
+            const quoted = [];
+            
+            while (i < lines.length && BLOCKQUOTE_REGEX.test(lines[i])) {
+                quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                i++;
+            }
+            
+            html.push(`<blockquote>\n${renderBlocks(quoted, context)}\n</blockquote>`);
+            continue;
         }
         
-        metadata[key] = value;
+        if (matchListItem(line)) {
+            const list = renderList(lines, i, context);
+            html.push(list.html);
+            i = list.end;
+            continue;
+        }
+        
+        // Paragraph - runs until blank line or another block starts
+        const paragraph = [];
+        
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        
+        html.push(`<p>${renderInline(paragraph.join('\n'), context)}</p>`);
+    }
+    
+    return html.join('\n');
+}
+
+// <!-- ANCHOR: renderList -->
+/**
+ * Render ordered or unordered list starting at given line
+ * @param {string[]} lines - Markdown lines
+ * @param {number} start - Index of first list item
+ * @param {Object} context - Render context
+ * @returns {Object} { html, end } where end is index after the list
+ * 
+ * LOGIC: Collects each item's lines (indented continuation and
+ * nested lists), renders them as blocks. Tight lists (no blank
+ * lines between items) render without <p> wrappers.
+ */
+function renderList(lines, start, context) {
+    const first = matchListItem(lines[start]);
+    const items = [];
+    let loose = false;
+    let i = start;
+    
+    while (i < lines.length) {
+        // Blank lines between items keep the list going (loose list)
+        if (!lines[i].trim()) {
+            let next = i;
+            while (next < lines.length && !lines[next].trim()) {
+                next++;
+            }
+            
+            const nextItem = next < lines.length ? matchListItem(lines[next]) : null;
+            if (!nextItem || nextItem.indent !== first.indent || nextItem.ordered !== first.ordered) {
+                break;
+            }
+            
+            loose = true;
+            i = next;
+        }
+        
+        const item = matchListItem(lines[i]);
+        if (!item || item.indent !== first.indent || item.ordered !== first.ordered) {
+            break;
+        }
+        
+        const body = [item.text];
+        i++;
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            
+            if (!line.trim()) {
+                // Blank line belongs to the item only if indented content follows
+                let next = i;
+                while (next < lines.length && !lines[next].trim()) {
+                    next++;
+                }
+                
+                if (next < lines.length && indentOf(lines[next]) >= item.contentIndent) {
+                    body.push('');
+                    loose = true;
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            
+            if (indentOf(line) > item.indent) {
+                body.push(line.slice(Math.min(indentOf(line), item.contentIndent)));
+                i++;
+                continue;
+            }
+            
+            // Lazy continuation of the item's paragraph
+            if (!startsBlock(line)) {
+                body.push(line.trim());
+                i++;
+                continue;
+            }
+            
+            break;
+        }
+        
+        items.push(body);
     }
     
+    const tag = first.ordered ? 'ol' : 'ul';
+    const startAttr = first.ordered && first.number !== 1 ? ` start="${first.number}"` : '';
+    
+    const itemsHtml = items.map(body => {
+        let inner = renderBlocks(body, context);
+        
+        if (!loose) {
+            inner = inner.replace(/<p>([\s\S]*?)<\/p>/g, '$1');
+        }
+        
+        return `<li>${inner}</li>`;
+    });
+    
     return {
-        metadata,
-        body: body.trim()
+        html: `<${tag}${startAttr}>\n${itemsHtml.join('\n')}\n</${tag}>`,
+        end: i
+    };
+}
+
+// <!-- ANCHOR: matchListItem -->
+/**
+ * Parse list item marker
+ * @param {string} line - Markdown line
+ * @returns {Object|null} Item info or null if line is not a list item
+ */
+function matchListItem(line) {
+    if (HR_REGEX.test(line)) {
+        return null;
+    }
+    
+    const match = line.match(LIST_ITEM_REGEX);
+    
+    if (!match) {
+        return null;
+    }
+    
+    const [, indent, marker, spacing, text] = match;
+    const ordered = /\d/.test(marker);
+    
+    return {
+        indent: indent.length,
+        contentIndent: indent.length + marker.length + (spacing.length || 1),
+        ordered,
+        number: ordered ? parseInt(marker, 10) : null,
+        text
     };
 }
 
+// <!-- ANCHOR: startsBlock -->
+/**
+ * Check if line starts a new block (interrupts a paragraph)
+ * @param {string} line - Markdown line
+ * @returns {boolean} True for headings, fences, shortcodes, quotes, lists, hr
+ */
+function startsBlock(line) {
+    return FENCE_REGEX.test(line) ||
+        SHORTCODE_OPEN_REGEX.test(line) ||
+        HEADING_REGEX.test(line) ||
+        HR_REGEX.test(line) ||
+        BLOCKQUOTE_REGEX.test(line) ||
+        matchListItem(line) !== null;
+}
+
+// <!-- ANCHOR: indentOf -->
+/**
+ * Count leading spaces of a line
+ * @param {string} line - Markdown line
+ * @returns {number} Indentation width
+ */
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+// <!-- ANCHOR: renderInline -->
+/**
+ * Render inline markdown to HTML
+ * @param {string} text - Inline markdown
+ * @param {Object} context - Render context
+ * @returns {string} HTML
+ * 
+ * LOGIC: Code spans, links and images are rendered first and
+ * stashed behind \u0000N\u0000 placeholders so that escaping and
+ * emphasis rules don't touch their contents.
+ */
+function renderInline(text, context) {
+    const tokens = [];
+    const html = renderInlineTokens(String(text).replace(/\u0000/g, ''), context, tokens);
+    
+    const restore = value => value.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(tokens[index]));
+    
+    return restore(html);
+}
+
+// <!-- ANCHOR: renderInlineTokens -->
+/**
+ * Render inline markdown, leaving placeholders for stashed tokens
+ * @param {string} text - Inline markdown
+ * @param {Object} context - Render context
+ * @param {string[]} tokens - Shared token storage
+ * @returns {string} HTML with placeholders
+ */
+function renderInlineTokens(text, context, tokens) {
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+    
+    const stashed = text
+        // Backslash escapes: \* \_ \[ etc. render as literal characters
+        .replace(/\\([\\`*_{}[\]()#+\-.!>~|])/g, (match, char) => stash(escapeHTML(char)))
+        // Code spans
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+            stash(`<code>${escapeHTML(code.trim())}</code>`))
+        // Images: ![alt](src "title")
+        .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) =>
+            stash(renderImage(alt, src, title, context)))
+        // Links: [label](href "title")
+        .replace(/\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) =>
+            stash(renderLink(renderInlineTokens(label, context, tokens), href, title, context)))
+        // Autolinks: <https://example.com>
+        .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) =>
+            stash(renderLink(escapeHTML(url), url, '', context)));
+    
+    return renderEmphasis(escapeHTML(stashed));
+}
+
+// <!-- ANCHOR: renderEmphasis -->
+/**
+ * Apply strong, emphasis and strikethrough to escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} HTML
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+// <!-- ANCHOR: renderLink -->
+/**
+ * Render anchor tag with safe href
+ * @param {string} labelHtml - Already rendered link label
+ * @param {string} href - Raw URL
+ * @param {string} title - Optional title
+ * @param {Object} context - Render context
+ * @returns {string} HTML (label only if URL is unsafe)
+ */
+function renderLink(labelHtml, href, title, context) {
+    const url = resolveSafeUrl(href, context.baseUrl);
+    
+    if (url === null) {
+        return labelHtml;
+    }
+    
+    const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+    const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    
+    return `<a href="${escapeHTML(url)}"${titleAttr}${external}>${labelHtml}</a>`;
+}
+
+// <!-- ANCHOR: renderImage -->
+/**
+ * Render lazy-loaded image with safe src
+ * @param {string} alt - Alt text
+ * @param {string} src - Raw URL
+ * @param {string} title - Optional title
+ * @param {Object} context - Render context
+ * @returns {string} HTML (escaped alt text if URL is unsafe)
+ */
+function renderImage(alt, src, title, context) {
+    const url = resolveSafeUrl(src, context.baseUrl);
+    
+    if (url === null) {
+        return escapeHTML(alt);
+    }
+    
+    const titleAttr = title ? ` title="${escapeHTML(title)}"` : '';
+    
+    return `<img src="${escapeHTML(url)}" alt="${escapeHTML(alt)}"${titleAttr} loading="lazy">`;
+}
+
+// <!-- ANCHOR: uniqueSlug -->
+/**
+ * Build unique heading id from rendered heading HTML
+ * @param {string} html - Rendered heading content
+ * @param {Map} slugs - Slugs already used in this document
+ * @returns {string} Unique slug ("results", "results-2", ...)
+ */
+function uniqueSlug(html, slugs) {
+    const text = html.replace(/<[^>]+>/g, '').replace(/&[a-z0-9#]+;/gi, '');
+    const base = slugify(text) || 'section';
+    const count = (slugs.get(base) || 0) + 1;
+    
+    slugs.set(base, count);
+    
+    return count === 1 ? base : `${base}-${count}`;
+}
+
 // <!-- ANCHOR: loadProjectFromMarkdown -->
 /**
  * Load and parse project markdown file
  * @param {string} projectId - Project folder name
- * @returns {Promise<Object|null>} Parsed project data or null on error
+ * @param {string} locale - Language code (default: DEFAULT_LOCALE)
+ * @param {Object} options - Load options
+ * @param {Object[]} options.images - Project images (from manifest) for shortcodes
+ * @returns {Promise<Object>} Parsed project data
+ * @throws {ApiError} project.md not-found, network, timeout or parse (frontmatter)
  * 
  * LOGIC: Fetches project.md from project folder, parses frontmatter,
- * and returns structured project object.
+ * and returns structured project object. For other locales also
+ * fetches project.{locale}.md; fields and body missing in the
+ * variant fall back to project.md. A broken variant is logged and
+ * the default language is used.
  * 
  * WHY: Decentralized CMS - each project folder contains its own metadata.
  * No need to maintain central projects.json file.
  * 
  * REUSABLE LOGIC: Can be used for any markdown-based content
  */
-export async function loadProjectFromMarkdown(projectId) {
-    try {
-        const url = `/assets/projects/${projectId}/project.md`;
-        const response = await fetch(url);
-        
-        if (!response.ok) {
-            console.warn(`Project markdown not found: ${projectId}`);
+export async function loadProjectFromMarkdown(projectId, locale = DEFAULT_LOCALE, options = {}) {
+    const isDefault = locale === DEFAULT_LOCALE;
+    
+    // Load default and localized files in parallel
+    const [base, variant] = await Promise.all([
+        fetchMarkdown(projectId, DEFAULT_LOCALE),
+        isDefault ? null : fetchMarkdown(projectId, locale).catch(error => {
+            // Broken translation - default language beats no project
+            console.error(`Failed to load ${projectId}/${getMarkdownFileName(locale)}:`, error.message);
             return null;
-        }
-        
-        const content = await response.text();
-        const { metadata, body } = parseFrontmatter(content);
-        
-        // Build project object with required fields
-        return {
-            id: metadata.id || projectId,
-            title: metadata.title || 'Untitled Project',
-            year: metadata.year || new Date().getFullYear(),
-            link: metadata.link || '',
-            tags: Array.isArray(metadata.tags) ? metadata.tags : [],
-            featured: metadata.featured || false,
-            description: body,
-            // Thumbnail path convention: first image in folder
-            thumbnail: `/assets/projects/${projectId}/1.webp`,
-            // Images will be loaded dynamically by modal
-            images: []
-        };
-    } catch (error) {
-        console.error(`Failed to load project markdown: ${projectId}`, error);
-        return null;
+        })
+    ]);
+    
+    let { metadata, body } = base;
+    
+    if (variant) {
+        // Missing fields fall back to default language, id never changes
+        metadata = { ...base.metadata, ...variant.metadata, id: base.metadata.id };
+        body = variant.body || base.body;
     }
+    
+    // Build project object with required fields
+    return {
+        id: metadata.id || projectId,
+        locale: variant ? locale : DEFAULT_LOCALE,
+        title: metadata.title || 'Untitled Project',
+        year: metadata.year || new Date().getFullYear(),
+        link: metadata.link || '',
+        tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+        featured: metadata.featured || false,
+        // Manual grid position (lower first), null = after ordered projects
+        order: Number.isInteger(metadata.order) ? metadata.order : null,
+        // Manually picked related project ids
+        related: Array.isArray(metadata.related) ? metadata.related : [],
+        // Publishing: hidden until ready / hidden from grid but reachable by link
+        draft: metadata.draft === true,
+        publishAt: metadata.publishAt || null,
+        unlisted: metadata.unlisted === true,
+        // Short text for meta description / link previews ('' = excerpt from body)
+        summary: metadata.summary || '',
+        description: body,
+        // Case study rendered to safe HTML, relative URLs point to project folder
+        html: renderMarkdown(body, {
+            baseUrl: `/assets/projects/${projectId}/`,
+            images: options.images
+        }),
+        // Thumbnail path convention: first image in folder
+        thumbnail: `/assets/projects/${projectId}/1.webp`,
+        // Images are attached from data/manifest.json by api.js
+        images: [],
+        // Gallery list as written in frontmatter (null = media.json or numbered images)
+        media: Array.isArray(metadata.media) ? metadata.media : null
+    };
 }
 
-// <!-- ANCHOR: scanProjectFolders -->
+// <!-- ANCHOR: getMarkdownFileName -->
 /**
- * Get list of all project folder names
- * @returns {string[]} Array of project folder names
- * 
- * LOGIC: Hardcoded list of project folders. In browser environment,
- * we cannot dynamically scan filesystem.
- * 
- * WHY: Static site - project folders must be explicitly listed.
- * Alternative: generate this list during build process.
- * 
- * TODO: Move to build script or config file
- */
-export function getProjectFolders() {
-    return [
-        'adbison',
-        'instaforex',
-        'safetyfirst'
-    ];
+ * Get markdown file name for a locale
+ * @param {string} locale - Language code
+ * @returns {string} "project.md" for default locale, "project.{locale}.md" otherwise
+ */
+export function getMarkdownFileName(locale = DEFAULT_LOCALE) {
+    return locale === DEFAULT_LOCALE ? 'project.md' : `project.${locale}.md`;
+}
+
+// <!-- ANCHOR: fetchMarkdown -->
+/**
+ * Fetch and parse one markdown file of a project
+ * @param {string} projectId - Project folder name
+ * @param {string} locale - Language code
+ * @returns {Promise<Object>} { metadata, body }
+ * @throws {ApiError} not-found, network, timeout or parse (with file:line)
+ */
+async function fetchMarkdown(projectId, locale) {
+    const fileName = getMarkdownFileName(locale);
+    const url = `/assets/projects/${projectId}/${fileName}`;
+    let response;
+    
+    try {
+        // Persistent copy served instantly, revalidated in background
+        response = await cachedFetch(url);
+    } catch (error) {
+        throw toApiError(error, ERROR_TYPES.network, url);
+    }
+    
+    try {
+        return parseFrontmatter(response.body);
+    } catch (error) {
+        const reason = error instanceof YamlError
+            ? `Invalid frontmatter in ${projectId}/${fileName}:${error.line} - ${error.reason}`
+            : `Failed to parse ${projectId}/${fileName}: ${error.message}`;
+        
+        throw new ApiError(ERROR_TYPES.parse, reason, { url, cause: error });
+    }
 }
 
 // UPDATED COMMENTS
@@ -0,0 +1,317 @@
+// ==============================================
+// MEDIA.JS - Project media list schema
+// Purpose: Normalize per-project gallery entries (image, video, embed)
+// Dependencies: shared/utils.js
+// Version: 1.2.0
+// REUSABLE LOGIC: Used by data-sources.js, shortcodes.js, components and build scripts
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: normalizeMedia, normalizeSources, normalizePlaceholder, getImageSources, getMediaProblem,
+//          getEmbedUrl, getVideoEmbedUrl, MEDIA_TYPES, VIDEO_FILE_REGEX, IMAGE_FORMATS, IMAGE_SIZES
+// DEPS: shared/utils.js
+
+import { resolveSafeUrl } from './utils.js';
+
+export const MEDIA_TYPES = {
+    image: 'image', // <img>, sizes from manifest
+    video: 'video', // looping muted mp4/webm clip
+    embed: 'embed' // iframe from an allowed host (Figma, YouTube, ...)
+};
+
+// Local video files play inline, hosted videos become iframe embeds
+export const VIDEO_FILE_REGEX = /\.(mp4|webm)(\?.*)?$/i;
+const IMAGE_FILE_REGEX = /\.(webp|avif|png|jpe?g|gif|svg)(\?.*)?$/i;
+
+const YOUTUBE_REGEX = /^https?:\/\/(?:www\.)?(?:youtube\.com\/watch\?(?:.*&)?v=|youtu\.be\/)([\w-]{11})/i;
+const VIMEO_REGEX = /^https?:\/\/(?:www\.)?vimeo\.com\/(\d+)/i;
+const FIGMA_REGEX = /^https:\/\/(?:www\.)?figma\.com\/(?:file|proto|design|board)\//i;
+
+// Iframes are only created for these hosts - content can't embed arbitrary pages
+const EMBED_HOSTS = [
+    'www.figma.com',
+    'embed.figma.com',
+    'www.youtube-nocookie.com',
+    'player.vimeo.com',
+    'codepen.io',
+    'codesandbox.io',
+    'www.loom.com'
+];
+
+// Responsive variant formats, best first - <source> order (scripts/build-images.mjs)
+export const IMAGE_FORMATS = ['avif', 'webp'];
+
+// sizes attribute per layout - must match the CSS widths of these slots
+export const IMAGE_SIZES = {
+    card: '(max-width: 768px) 100vw, 50vw', // .projects__grid, 2 columns
+    modal: '(max-width: 768px) calc(100vw - 40px), min(calc(100vw - 160px), 1440px)', // .project-modal__gallery
+    page: 'min(100vw, 1440px)' // .project-gallery
+};
+
+// Placeholder from scripts/build-images.mjs - checked before it goes into style attributes
+const PLACEHOLDER_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+const PLACEHOLDER_SRC_REGEX = /^data:image\/(webp|png|jpeg);base64,[A-Za-z0-9+/]+=*$/;
+
+// "16/9", "4 / 3", "1.91/1"
+const RATIO_REGEX = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/;
+const DEFAULT_EMBED_RATIO = '16 / 9';
+
+// <!-- ANCHOR: normalizeMedia -->
+/**
+ * Normalize a media list
+ * @param {Array} entries - Strings (src) or { type, src, alt, caption, poster, ratio, width, height }
+ * @param {Object} options - Normalize options
+ * @param {string} options.baseUrl - Prefix for relative paths, e.g. '/assets/projects/x/'
+ * @param {Object[]} options.known - [{ src, width, height }] to fill missing sizes by src
+ * @returns {Object[]} [{ type, src, alt, caption, poster, ratio, width, height, sources, placeholder }]
+ *
+ * LOGIC: Type is inferred when omitted: .mp4/.webm = video,
+ * http(s) URL that is not an image file = embed, anything else =
+ * image. Embed URLs are converted to their player URL (YouTube,
+ * Vimeo, Figma). Invalid entries are skipped with a warning
+ * (lint reports them with file and line). Normalizing a
+ * normalized list returns the same list.
+ */
+export function normalizeMedia(entries, options = {}) {
+    const { baseUrl = '', known = [] } = options;
+
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+
+    return entries
+        .map(entry => (typeof entry === 'string' ? { src: entry } : entry))
+        .filter(entry => {
+            const problem = getMediaProblem(entry, baseUrl);
+
+            if (problem) {
+                console.warn(`Skipping media entry: ${problem}`, entry);
+            }
+
+            return !problem;
+        })
+        .map(entry => {
+            const type = entry.type || inferType(String(entry.src));
+            const src = type === MEDIA_TYPES.embed
+                ? getEmbedUrl(String(entry.src))
+                : resolveSafeUrl(String(entry.src), baseUrl);
+            const size = known.find(item => item && item.src === src);
+
+            return {
+                type,
+                src,
+                alt: typeof entry.alt === 'string' ? entry.alt : '',
+                caption: typeof entry.caption === 'string' ? entry.caption : '',
+                poster: type === MEDIA_TYPES.video && entry.poster ? resolveSafeUrl(String(entry.poster), baseUrl) : null,
+                ratio: toRatio(entry.ratio) || (type === MEDIA_TYPES.embed ? DEFAULT_EMBED_RATIO : null),
+                width: Number.isFinite(entry.width) ? entry.width : size?.width ?? null,
+                height: Number.isFinite(entry.height) ? entry.height : size?.height ?? null,
+                // Responsive variants - images only
+                sources: type === MEDIA_TYPES.image ? normalizeSources(entry.sources || size?.sources) : [],
+                placeholder: type === MEDIA_TYPES.image ? normalizePlaceholder(entry.placeholder || size?.placeholder) : null
+            };
+        });
+}
+
+// <!-- ANCHOR: normalizeSources -->
+/**
+ * Normalize responsive variant list of an image
+ * @param {Array} sources - [{ src, width, format }] from manifest
+ * @returns {Object[]} Valid entries with known format, sorted by width
+ */
+export function normalizeSources(sources) {
+    if (!Array.isArray(sources)) {
+        return [];
+    }
+
+    return sources
+        .filter(source => source && IMAGE_FORMATS.includes(source.format) && Number.isFinite(source.width))
+        .map(source => ({
+            src: resolveSafeUrl(String(source.src || '')),
+            width: source.width,
+            format: source.format
+        }))
+        .filter(source => source.src)
+        .sort((a, b) => a.width - b.width);
+}
+
+// <!-- ANCHOR: normalizePlaceholder -->
+/**
+ * Normalize low-quality placeholder of an image
+ * @param {Object} placeholder - { color, src } from manifest
+ * @returns {Object|null} { color: '#rrggbb' | null, src: base64 data URI | null }, null if both invalid
+ *
+ * WHY: Values end up in inline styles and prerendered HTML - only
+ * plain hex colors and base64 image data URIs pass.
+ */
+export function normalizePlaceholder(placeholder) {
+    if (!placeholder || typeof placeholder !== 'object') {
+        return null;
+    }
+
+    const color = PLACEHOLDER_COLOR_REGEX.test(placeholder.color) ? placeholder.color : null;
+    const src = PLACEHOLDER_SRC_REGEX.test(placeholder.src) ? placeholder.src : null;
+
+    return color || src ? { color, src } : null;
+}
+
+// <!-- ANCHOR: getImageSources -->
+/**
+ * Build <source> data for <picture>
+ * @param {Object} image - { src, width, sources }
+ * @returns {Object[]} [{ type: 'image/avif', srcset }, ...] in IMAGE_FORMATS order, [] without variants
+ *
+ * LOGIC: One srcset per format with "url 480w" candidates. The
+ * original file joins the srcset of its own format as the widest
+ * candidate when it is wider than every variant.
+ *
+ * REUSABLE LOGIC: components/media.js (DOM) and scripts/prerender.mjs (HTML)
+ */
+export function getImageSources(image) {
+    const sources = image.sources || [];
+
+    return IMAGE_FORMATS
+        .map(format => {
+            const candidates = sources.filter(source => source.format === format);
+            const widest = candidates.length > 0 ? candidates[candidates.length - 1].width : 0;
+            const originalFormat = (String(image.src).match(/\.(\w+)(\?.*)?$/) || [])[1]?.toLowerCase();
+
+            if (candidates.length > 0 && originalFormat === format && image.width > widest) {
+                candidates.push({ src: image.src, width: image.width });
+            }
+
+            return {
+                type: `image/${format}`,
+                // Space and comma separate candidates - escape them inside URLs
+                srcset: candidates
+                    .map(source => `${source.src.replace(/ /g, '%20').replace(/,/g, '%2C')} ${source.width}w`)
+                    .join(', ')
+            };
+        })
+        .filter(source => source.srcset);
+}
+
+// <!-- ANCHOR: getMediaProblem -->
+/**
+ * Validate one raw media entry
+ * @param {*} entry - String or entry object
+ * @param {string} baseUrl - Prefix for relative paths (default: '')
+ * @returns {string|null} Problem description or null if valid
+ *
+ * REUSABLE LOGIC: normalizeMedia() skips these, lint-content reports them
+ */
+export function getMediaProblem(entry, baseUrl = '') {
+    if (typeof entry === 'string') {
+        entry = { src: entry };
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return 'entry must be a path, URL or { src, ... } object';
+    }
+
+    if (!entry.src || typeof entry.src !== 'string') {
+        return 'missing "src"';
+    }
+
+    const type = entry.type || inferType(entry.src);
+
+    if (!Object.values(MEDIA_TYPES).includes(type)) {
+        return `unknown type "${type}" (use ${Object.values(MEDIA_TYPES).join(', ')})`;
+    }
+
+    if (type === MEDIA_TYPES.embed && !getEmbedUrl(entry.src)) {
+        return `embed "${entry.src}" is not https or its host is not allowed (${EMBED_HOSTS.join(', ')}, figma.com links, YouTube, Vimeo)`;
+    }
+
+    if (type === MEDIA_TYPES.video && !VIDEO_FILE_REGEX.test(entry.src)) {
+        return `video "${entry.src}" must be .mp4 or .webm (use type: embed for hosted players)`;
+    }
+
+    if (type !== MEDIA_TYPES.embed && !resolveSafeUrl(entry.src, baseUrl)) {
+        return `unsafe URL "${entry.src}"`;
+    }
+
+    if (entry.ratio !== undefined && entry.ratio !== null && !toRatio(entry.ratio)) {
+        return `ratio "${entry.ratio}" must look like 16/9`;
+    }
+
+    return null;
+}
+
+// <!-- ANCHOR: getEmbedUrl -->
+/**
+ * Convert a page URL to an embeddable player URL
+ * @param {string} url - Figma file/prototype, YouTube, Vimeo or allowed host URL
+ * @returns {string|null} https iframe URL or null if not allowed
+ *
+ * LOGIC: YouTube/Vimeo go through getVideoEmbedUrl(), Figma links
+ * are wrapped in the Figma embed endpoint, other URLs pass as-is
+ * when their host is in EMBED_HOSTS.
+ */
+export function getEmbedUrl(url) {
+    const video = getVideoEmbedUrl(url);
+
+    if (video) {
+        return video;
+    }
+
+    if (FIGMA_REGEX.test(url)) {
+        return `https://www.figma.com/embed?embed_host=share&url=${encodeURIComponent(url)}`;
+    }
+
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && EMBED_HOSTS.includes(parsed.hostname) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// <!-- ANCHOR: getVideoEmbedUrl -->
+/**
+ * Get player URL for a YouTube or Vimeo page URL
+ * @param {string} url - Video page URL
+ * @returns {string|null} youtube-nocookie / player.vimeo.com URL, null for other URLs
+ */
+export function getVideoEmbedUrl(url) {
+    const youtube = String(url).match(YOUTUBE_REGEX);
+    const vimeo = String(url).match(VIMEO_REGEX);
+
+    if (youtube) {
+        return `https://www.youtube-nocookie.com/embed/${youtube[1]}`;
+    }
+
+    return vimeo ? `https://player.vimeo.com/video/${vimeo[1]}` : null;
+}
+
+// <!-- ANCHOR: inferType -->
+/**
+ * Guess media type from src
+ * @param {string} src - Path or URL
+ * @returns {string} One of MEDIA_TYPES
+ */
+function inferType(src) {
+    if (VIDEO_FILE_REGEX.test(src)) {
+        return MEDIA_TYPES.video;
+    }
+
+    return /^https?:\/\//i.test(src) && !IMAGE_FILE_REGEX.test(src) ? MEDIA_TYPES.embed : MEDIA_TYPES.image;
+}
+
+// <!-- ANCHOR: toRatio -->
+/**
+ * Parse aspect ratio for CSS aspect-ratio
+ * @param {*} value - "16/9" string
+ * @returns {string|null} "16 / 9" or null if invalid
+ */
+function toRatio(value) {
+    const match = String(value ?? '').trim().match(RATIO_REGEX);
+
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        return null;
+    }
+
+    return `${match[1]} / ${match[2]}`;
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,123 @@
+// ==============================================
+// PUBLISHING.JS - Draft, scheduled and unlisted projects
+// Purpose: Decide which projects are live and handle preview mode
+// Dependencies: shared/config.js, shared/utils.js
+// Version: 1.0.0
+// REUSABLE LOGIC: Used by api.js (filtering) and cards/modal (DRAFT badge)
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: getPublishStatus, isPreviewMode, PUBLISH_STATUS
+// DEPS: shared/config.js, shared/utils.js
+
+import { PREVIEW } from './config.js';
+import { isDevelopment } from './utils.js';
+
+export const PUBLISH_STATUS = {
+    published: 'published',
+    draft: 'draft', // draft: true
+    scheduled: 'scheduled' // publishAt in the future
+};
+
+// Validated token is remembered for the tab, so links keep preview on
+const PREVIEW_STORAGE_KEY = 'portfolio-preview';
+
+let previewCheck = null;
+
+// <!-- ANCHOR: getPublishStatus -->
+/**
+ * Get publish status of a project
+ * @param {Object} project - Normalized project (draft, publishAt)
+ * @param {Date} now - Current time (default: now)
+ * @returns {string} One of PUBLISH_STATUS
+ *
+ * LOGIC: draft wins over publishAt. publishAt is an ISO date
+ * ("2026-11-01" = midnight UTC) or date-time with offset.
+ * Unparseable publishAt is ignored (lint reports it).
+ */
+export function getPublishStatus(project, now = new Date()) {
+    if (project.draft) {
+        return PUBLISH_STATUS.draft;
+    }
+
+    if (project.publishAt) {
+        const publishTime = Date.parse(project.publishAt);
+
+        if (!Number.isNaN(publishTime) && publishTime > now.getTime()) {
+            return PUBLISH_STATUS.scheduled;
+        }
+    }
+
+    return PUBLISH_STATUS.published;
+}
+
+// <!-- ANCHOR: isPreviewMode -->
+/**
+ * Check if unpublished projects should be shown
+ * @returns {Promise<boolean>} True if ?preview=<token> matches config
+ *
+ * LOGIC: Token from ?preview= (or the tab's sessionStorage) is
+ * SHA-256 hashed and compared to PREVIEW.tokenHash. Any ?preview
+ * value works on localhost. A wrong token (e.g. ?preview=off)
+ * ends preview for the tab. Checked once per page load.
+ *
+ * WHY hash: config.js is public - the token itself never ships.
+ * Note: draft files are still publicly fetchable by URL; preview
+ * only keeps them out of the site UI.
+ */
+export function isPreviewMode() {
+    if (!previewCheck) {
+        previewCheck = checkPreviewToken().catch(error => {
+            console.warn('Preview check failed:', error);
+            return false;
+        });
+    }
+
+    return previewCheck;
+}
+
+// <!-- ANCHOR: checkPreviewToken -->
+/**
+ * Validate preview token from URL or session
+ * @returns {Promise<boolean>} Preview enabled
+ */
+async function checkPreviewToken() {
+    if (typeof window === 'undefined') {
+        return false;
+    }
+
+    const urlToken = new URLSearchParams(window.location.search).get('preview');
+    const token = urlToken ?? window.sessionStorage.getItem(PREVIEW_STORAGE_KEY);
+
+    if (!token) {
+        return false;
+    }
+
+    const valid = isDevelopment()
+        ? token !== 'off'
+        : Boolean(PREVIEW.tokenHash) && await sha256(token) === PREVIEW.tokenHash.toLowerCase();
+
+    if (valid) {
+        window.sessionStorage.setItem(PREVIEW_STORAGE_KEY, token);
+    } else {
+        window.sessionStorage.removeItem(PREVIEW_STORAGE_KEY);
+    }
+
+    return valid;
+}
+
+// <!-- ANCHOR: sha256 -->
+/**
+ * Hash text with SHA-256
+ * @param {string} text - Input
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+
+    return [...new Uint8Array(digest)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,171 @@
+// ==============================================
+// REQUEST.JS - Network requests with timeout, retry and typed errors
+// Purpose: One fetch wrapper so every failure has a known type
+// Dependencies: None
+// Version: 1.1.0
+// REUSABLE LOGIC: Used by cache.js, data-sources.js, markdown.js, api.js
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: fetchWithRetry, ApiError, toApiError, ERROR_TYPES
+// DEPS: none
+
+export const ERROR_TYPES = {
+    notFound: 'not-found', // 404/410 - retrying won't help
+    network: 'network', // offline, DNS, CORS, 5xx
+    parse: 'parse', // got response, content is broken (JSON, frontmatter)
+    timeout: 'timeout' // no complete response within timeout
+};
+
+const DEFAULT_OPTIONS = {
+    timeout: 8000, // ms per attempt, headers + body
+    retries: 2, // extra attempts after the first
+    backoff: 500 // ms, doubled per attempt (+ jitter)
+};
+
+// Statuses worth retrying - server may recover
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// <!-- ANCHOR: ApiError -->
+/**
+ * Typed request/content error
+ * @param {string} type - One of ERROR_TYPES
+ * @param {string} message - Human readable reason
+ * @param {Object} details - { url, status, cause }
+ *
+ * LOGIC: UI picks message and retry button by type, not by
+ * parsing error text.
+ */
+export class ApiError extends Error {
+    constructor(type, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.url = details.url || null;
+        this.status = details.status || null;
+        this.cause = details.cause;
+    }
+
+    // Not-found and broken content stay broken on retry
+    get retryable() {
+        return this.type === ERROR_TYPES.network || this.type === ERROR_TYPES.timeout;
+    }
+}
+
+// <!-- ANCHOR: fetchWithRetry -->
+/**
+ * Fetch with per-attempt timeout and retry with backoff
+ * @param {string} url - Request URL
+ * @param {Object} options - { timeout, retries, backoff, init } (init = fetch options)
+ * @returns {Promise<Object>} { response, body } - successful (2xx/304) response and its text
+ * @throws {ApiError} not-found, network or timeout
+ *
+ * LOGIC: Each attempt is aborted after `timeout` ms, counted until
+ * the body is read - a server that sends headers and then stalls
+ * times out like one that never answers. Network errors,
+ * timeouts and RETRY_STATUSES are retried after backoff * 2^attempt
+ * (+ up to 30% jitter so many clients don't retry in sync).
+ * 404/410 fail at once. Caller's init.signal aborts everything.
+ *
+ * SCALED FOR: 100k users - jittered backoff avoids retry storms
+ */
+export async function fetchWithRetry(url, options = {}) {
+    const { timeout, retries, backoff, init = {} } = { ...DEFAULT_OPTIONS, ...options };
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            const delay = backoff * 2 ** (attempt - 1);
+            await sleep(delay + Math.random() * delay * 0.3);
+        }
+
+        try {
+            return await fetchOnce(url, init, timeout);
+        } catch (error) {
+            lastError = error;
+
+            // Caller cancelled or retrying can't help
+            if (init.signal?.aborted || !error.retryable || (error.status && !RETRY_STATUSES.includes(error.status))) {
+                throw error;
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+// <!-- ANCHOR: toApiError -->
+/**
+ * Wrap any thrown value as ApiError
+ * @param {*} error - Caught value
+ * @param {string} fallbackType - Type if not already ApiError (default: network)
+ * @param {string} url - Related URL
+ * @returns {ApiError} Typed error
+ */
+export function toApiError(error, fallbackType = ERROR_TYPES.network, url = null) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    return new ApiError(fallbackType, error?.message || String(error), { url, cause: error });
+}
+
+// <!-- ANCHOR: fetchOnce -->
+/**
+ * Single fetch attempt with timeout
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {number} timeout - ms
+ * @returns {Promise<Object>} { response, body } - OK response (or 304) and its text
+ * @throws {ApiError} Typed error
+ *
+ * LOGIC: The body is read before the timer is cleared - fetch()
+ * resolves on headers, the body can still stall.
+ */
+async function fetchOnce(url, init, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    // Forward caller's abort to this attempt
+    const onAbort = () => controller.abort();
+    init.signal?.addEventListener('abort', onAbort);
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+
+        if (response.ok || response.status === 304) {
+            return { response, body: await response.text() };
+        }
+
+        const type = response.status === 404 || response.status === 410
+            ? ERROR_TYPES.notFound
+            : ERROR_TYPES.network;
+
+        throw new ApiError(type, `HTTP error! status: ${response.status}`, { url, status: response.status });
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+
+        if (controller.signal.aborted && !init.signal?.aborted) {
+            throw new ApiError(ERROR_TYPES.timeout, `No complete response in ${timeout}ms`, { url, cause: error });
+        }
+
+        throw new ApiError(ERROR_TYPES.network, error.message || 'Network error', { url, cause: error });
+    } finally {
+        clearTimeout(timer);
+        init.signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+// <!-- ANCHOR: sleep -->
+/**
+ * Wait
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// UPDATED COMMENTS
@@ -1,53 +1,204 @@
 // ==============================================
-// ROUTER.JS - Simple client-side routing
-// Purpose: Handle navigation between pages without full reload
-// Dependencies: None
-// Version: 1.0.0
+// ROUTER.JS - Client-side History API router
+// Purpose: Declared routes with path params, no page reloads
+// Dependencies: shared/markdown.js
+// Version: 2.1.0
 // REUSABLE LOGIC: Used for all page navigation
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: initRouter, navigateTo, getQueryParam
-// DEPS: None
+// EXPORTS: defineRoutes, startRouter, navigate, matchRoute, showNotFound, getProjectUrl,
+//          getHomeUrl, getQueryParam, getQueryParams, setQueryParams, pushQueryParams, getLocale
+// DEPS: shared/markdown.js (locale constants)
 
-// <!-- ANCHOR: initRouter -->
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from './markdown.js';
+
+// Compiled routes in declaration order - first match wins
+const routes = [];
+
+// Shown for unmatched paths and by showNotFound()
+let notFoundRoute = null;
+
+// Route on screen and its path params
+let current = { route: null, params: {}, url: '' };
+
+// History entry on screen - key into scrollPositions
+let currentKey = null;
+
+// Entry key -> scrollY, filled when leaving an entry
+const scrollPositions = new Map();
+
+// Incremented per render - late enter() results don't scroll
+let renderToken = 0;
+
+// <!-- ANCHOR: defineRoutes -->
 /**
- * Initialize router and determine current page
- * @returns {string} Current page identifier ('landing' or 'project')
+ * Declare application routes
+ * @param {Object[]} routeList - { path, view, title?, enter(params), update?(params), leave?() }
+ * @param {Object} notFound - Route shown for unknown paths (no path)
+ * 
+ * LOGIC: path is a pattern like '/projects/:id' - ':name' segments
+ * become params (URL-decoded). view is the data-view attribute of
+ * the element shown for the route, other [data-view] elements are
+ * hidden. enter() renders (may be async), update() runs instead
+ * when only the query changed (back/forward over pushQueryParams),
+ * leave() cleans up before another history entry is shown.
  * 
- * LOGIC: Checks current URL pathname to determine which page
- * is being viewed. Defaults to 'landing' for root path.
+ * REUSABLE LOGIC: Declared once in main.js
  */
-export function initRouter() {
-    const path = window.location.pathname;
+export function defineRoutes(routeList, notFound) {
+    routes.length = 0;
+    
+    routeList.forEach(route => {
+        const keys = [];
+        const pattern = route.path
+            .split('/')
+            .map(segment => {
+                if (segment.startsWith(':')) {
+                    keys.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+        
+        routes.push({ ...route, keys, regex: new RegExp(`^${pattern}/?$`) });
+    });
     
-    // Determine current page based on path
-    if (path.includes('project.html')) {
-        return 'project';
+    notFoundRoute = notFound;
+}
+
+// <!-- ANCHOR: startRouter -->
+/**
+ * Render current URL and take over navigation
+ * @returns {Promise<void>} Resolves when first route has rendered
+ * 
+ * LOGIC: Same-origin link clicks that match a route are handled
+ * with pushState, back/forward with popstate. Scroll restoration
+ * is manual: position is saved when an entry is left and restored
+ * after its view has rendered (content height exists by then).
+ * 
+ * WHY: Browser restores scroll before async views render - lands
+ * at the wrong place or at the top.
+ */
+export async function startRouter() {
+    if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
     }
     
-    return 'landing';
+    // Give the first entry a key, keep scroll saved before a reload
+    const state = window.history.state || {};
+    currentKey = state.key || createKey();
+    window.history.replaceState({ ...state, key: currentKey }, '');
+    
+    document.addEventListener('click', handleLinkClick);
+    window.addEventListener('popstate', handlePopState);
+    
+    // Reload keeps the entry - remember where the visitor was
+    window.addEventListener('pagehide', () => {
+        window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+    });
+    
+    await renderLocation({ scrollY: state.scrollY });
 }
 
-// <!-- ANCHOR: navigateTo -->
+// <!-- ANCHOR: navigate -->
 /**
- * Navigate to a different page
- * @param {string} page - Page to navigate to ('landing' or 'project')
- * @param {Object} params - Optional query parameters
+ * Go to URL without page reload
+ * @param {string} url - Absolute path or same-origin URL
+ * @param {Object} options - { replace: true } replaces current entry
+ * @returns {Promise<void>} Resolves when route has rendered
  * 
- * LOGIC: Constructs URL with query params and navigates.
- * Uses window.location for full page load (no SPA for now).
+ * LOGIC: Other origin or other ?lang= = full page load (content
+ * of the whole app is per language).
  */
-export function navigateTo(page, params = {}) {
-    let url = page === 'landing' ? '/index.html' : '/project.html';
+export async function navigate(url, options = {}) {
+    const target = new URL(url, window.location.href);
     
-    // Add query parameters if provided
-    const queryString = new URLSearchParams(params).toString();
-    if (queryString) {
-        url += `?${queryString}`;
+    if (target.origin !== window.location.origin || getLocale(target) !== getLocale()) {
+        window.location.assign(target.href);
+        return;
     }
     
-    window.location.href = url;
+    leaveCurrentEntry();
+    
+    const key = createKey();
+    const method = options.replace ? 'replaceState' : 'pushState';
+    
+    window.history[method]({ key }, '', target.pathname + target.search + target.hash);
+    currentKey = key;
+    
+    await renderLocation({});
+}
+
+// <!-- ANCHOR: matchRoute -->
+/**
+ * Find route for a path
+ * @param {string} pathname - URL path
+ * @returns {Object|null} { route, params } or null if no route matches
+ * 
+ * LOGIC: '/index.html' is treated as '/'.
+ */
+export function matchRoute(pathname) {
+    const path = pathname.replace(/\/index\.html$/, '/');
+    
+    for (const route of routes) {
+        const match = path.match(route.regex);
+        
+        if (match) {
+            const params = {};
+            
+            route.keys.forEach((key, index) => {
+                params[key] = safeDecode(match[index + 1]);
+            });
+            
+            return { route, params };
+        }
+    }
+    
+    return null;
+}
+
+// <!-- ANCHOR: showNotFound -->
+/**
+ * Show 404 view for current URL
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: For routes whose path matched but content doesn't exist
+ * (e.g. /projects/unknown-id). URL stays as is.
+ */
+export async function showNotFound() {
+    if (!notFoundRoute) {
+        return;
+    }
+    
+    await showRoute(notFoundRoute, {});
+}
+
+// <!-- ANCHOR: getProjectUrl -->
+/**
+ * Build project detail page URL
+ * @param {string} projectId - Project ID
+ * @returns {string} URL like /projects/adbison (keeps ?lang=)
+ * 
+ * REUSABLE LOGIC: Links from cards to project page
+ */
+export function getProjectUrl(projectId) {
+    const locale = getLocale();
+    const query = locale !== DEFAULT_LOCALE ? `?lang=${locale}` : '';
+    
+    return `/projects/${encodeURIComponent(projectId)}${query}`;
+}
+
+// <!-- ANCHOR: getHomeUrl -->
+/**
+ * Build landing page URL
+ * @returns {string} '/' (keeps ?lang=)
+ */
+export function getHomeUrl() {
+    const locale = getLocale();
+    return locale !== DEFAULT_LOCALE ? `/?lang=${locale}` : '/';
 }
 
 // <!-- ANCHOR: getQueryParam -->
@@ -64,4 +215,305 @@ export function getQueryParam(param) {
     return urlParams.get(param);
 }
 
+// <!-- ANCHOR: getQueryParams -->
+/**
+ * Get all values of a repeated query parameter
+ * @param {string} param - Parameter name
+ * @returns {string[]} Values in URL order (?tag=a&tag=b -> ['a', 'b'])
+ */
+export function getQueryParams(param) {
+    const urlParams = new URLSearchParams(window.location.search);
+    return urlParams.getAll(param);
+}
+
+// <!-- ANCHOR: setQueryParams -->
+/**
+ * Write query parameters to URL without reload
+ * @param {Object} params - name -> string, string[] (repeated) or null (remove)
+ * 
+ * LOGIC: Updates only given params, others (e.g. ?lang=) are kept.
+ * Uses history.replaceState - UI state changes don't flood
+ * the back button history.
+ * 
+ * REUSABLE LOGIC: Shareable filtered views
+ */
+export function setQueryParams(params) {
+    window.history.replaceState(window.history.state, '', buildQueryUrl(params));
+    current.url = window.location.pathname + window.location.search;
+}
+
+// <!-- ANCHOR: pushQueryParams -->
+/**
+ * Write query parameters as a new history entry
+ * @param {Object} params - Same format as setQueryParams()
+ * 
+ * LOGIC: Like setQueryParams(), but back returns to the previous
+ * query. Route is not re-entered. Entry state gets queryPushed: true
+ * so UI can go back instead of pushing again when it closes.
+ * 
+ * REUSABLE LOGIC: Deep-linked overlays (?project= modal)
+ */
+export function pushQueryParams(params) {
+    scrollPositions.set(currentKey, window.scrollY);
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+    
+    currentKey = createKey();
+    window.history.pushState({ key: currentKey, queryPushed: true }, '', buildQueryUrl(params));
+    current.url = window.location.pathname + window.location.search;
+}
+
+// <!-- ANCHOR: getLocale -->
+/**
+ * Get content language for current page
+ * @param {URL|Location} [url] - URL to read (default: current location)
+ * @returns {string} Locale code from ?lang= if supported, else default
+ * 
+ * LOGIC: ?lang=en switches case studies to project.en.md.
+ * Unknown values fall back to the default language.
+ */
+export function getLocale(url = window.location) {
+    const lang = (new URLSearchParams(url.search).get('lang') || '').toLowerCase();
+    return SUPPORTED_LOCALES.includes(lang) ? lang : DEFAULT_LOCALE;
+}
+
+// <!-- ANCHOR: buildQueryUrl -->
+/**
+ * Current URL with query parameters changed
+ * @param {Object} params - name -> string, string[] (repeated) or null (remove)
+ * @returns {string} Path + query + hash
+ */
+function buildQueryUrl(params) {
+    const urlParams = new URLSearchParams(window.location.search);
+    
+    Object.entries(params).forEach(([name, value]) => {
+        urlParams.delete(name);
+        
+        const values = Array.isArray(value) ? value : [value];
+        values
+            .filter(item => item !== null && item !== undefined && item !== '')
+            .forEach(item => urlParams.append(name, item));
+    });
+    
+    const queryString = urlParams.toString();
+    return `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`;
+}
+
+// <!-- ANCHOR: renderLocation -->
+/**
+ * Render route for current URL
+ * @param {Object} options - { scrollY } saved position to restore
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: Same route with same params (e.g. only ?project= changed)
+ * is not re-entered, its update() runs. After render: saved
+ * position, else #hash target, else top.
+ */
+async function renderLocation({ scrollY }) {
+    const url = window.location.pathname + window.location.search;
+    const match = matchRoute(window.location.pathname) || { route: notFoundRoute, params: {} };
+    
+    if (!match.route) {
+        console.warn('No route for', url);
+        return;
+    }
+    
+    const token = ++renderToken;
+    const samePage = current.route === match.route && sameParams(current.params, match.params);
+    
+    current.url = url;
+    
+    if (samePage) {
+        await runHook(match.route, 'update', match.params);
+    } else {
+        await showRoute(match.route, match.params);
+    }
+    
+    // Another navigation started while rendering - it scrolls
+    if (token !== renderToken) {
+        return;
+    }
+    
+    restoreScroll(scrollY);
+}
+
+// <!-- ANCHOR: showRoute -->
+/**
+ * Switch visible view and render route
+ * @param {Object} route - Route definition
+ * @param {Object} params - Path params
+ * @returns {Promise<void>}
+ * 
+ * LOGIC: Previous route's leave() already ran in leaveCurrentEntry().
+ */
+async function showRoute(route, params) {
+    current.route = route;
+    current.params = params;
+    
+    document.querySelectorAll('[data-view]').forEach(view => {
+        view.hidden = view.dataset.view !== route.view;
+    });
+    
+    if (route.title) {
+        document.title = route.title;
+    }
+    
+    await runHook(route, 'enter', params);
+}
+
+// <!-- ANCHOR: runHook -->
+/**
+ * Run route enter/update, log failures
+ * @param {Object} route - Route definition
+ * @param {string} hook - 'enter' or 'update'
+ * @param {Object} params - Path params
+ * @returns {Promise<void>}
+ */
+async function runHook(route, hook, params) {
+    try {
+        await route[hook]?.(params);
+    } catch (error) {
+        console.error(`Failed to ${hook} route ${route.path || route.view}:`, error);
+    }
+}
+
+// <!-- ANCHOR: handleLinkClick -->
+/**
+ * Intercept same-origin link clicks that match a route
+ * @param {MouseEvent} event - Click event
+ * 
+ * LOGIC: Browser keeps modified clicks (new tab), target="_blank",
+ * download links, other origins, unmatched paths (files under
+ * /assets, /data) and #hash links on the same page.
+ */
+function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+        return;
+    }
+    
+    const link = event.target.closest?.('a[href]');
+    
+    if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) {
+        return;
+    }
+    
+    const url = new URL(link.href, window.location.href);
+    
+    if (url.origin !== window.location.origin || !matchRoute(url.pathname)) {
+        return;
+    }
+    
+    // Hash on the same page - native jump
+    if (url.hash && url.pathname + url.search === window.location.pathname + window.location.search) {
+        return;
+    }
+    
+    event.preventDefault();
+    navigate(url.href);
+}
+
+// <!-- ANCHOR: handlePopState -->
+/**
+ * Render entry after back/forward
+ * @param {PopStateEvent} event - Event with entry state
+ * 
+ * LOGIC: Position of the entry being left is saved first,
+ * entry's own saved position is restored after render.
+ * Fragment navigation (#hash) also fires popstate - same
+ * path and query = nothing to render.
+ */
+function handlePopState(event) {
+    const url = window.location.pathname + window.location.search;
+    
+    if (url === current.url) {
+        return;
+    }
+    
+    leaveCurrentEntry();
+    
+    const state = event.state || {};
+    currentKey = state.key || createKey();
+    
+    if (!state.key) {
+        window.history.replaceState({ ...state, key: currentKey }, '');
+    }
+    
+    renderLocation({ scrollY: scrollPositions.get(currentKey) ?? state.scrollY });
+}
+
+// <!-- ANCHOR: leaveCurrentEntry -->
+/**
+ * Save scroll position of entry on screen
+ * 
+ * LOGIC: Route cleanup runs first - e.g. closing the project modal
+ * unlocks body scroll and puts the page back at its position.
+ */
+function leaveCurrentEntry() {
+    if (current.route?.leave) {
+        current.route.leave();
+    }
+    
+    scrollPositions.set(currentKey, window.scrollY);
+    
+    if (window.history.state?.key === currentKey) {
+        window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+    }
+}
+
+// <!-- ANCHOR: restoreScroll -->
+/**
+ * Scroll to saved position, #hash target or top
+ * @param {number} [scrollY] - Saved position
+ */
+function restoreScroll(scrollY) {
+    if (typeof scrollY === 'number') {
+        window.scrollTo(0, scrollY);
+        return;
+    }
+    
+    const target = window.location.hash ? document.getElementById(safeDecode(window.location.hash.slice(1))) : null;
+    
+    if (target) {
+        target.scrollIntoView();
+        return;
+    }
+    
+    window.scrollTo(0, 0);
+}
+
+// <!-- ANCHOR: sameParams -->
+/**
+ * Compare path params
+ * @param {Object} a - Params
+ * @param {Object} b - Params
+ * @returns {boolean} True if same keys and values
+ */
+function sameParams(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+// <!-- ANCHOR: safeDecode -->
+/**
+ * Decode URL component, keep raw value if malformed
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// <!-- ANCHOR: createKey -->
+/**
+ * Create history entry key
+ * @returns {string} Random key
+ */
+function createKey() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
 // UPDATED COMMENTS
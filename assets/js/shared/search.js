@@ -0,0 +1,181 @@
+// ==============================================
+// SEARCH.JS - Full-text project search
+// Purpose: Build in-memory index over projects and rank matches
+// Dependencies: shared/utils.js
+// Version: 1.0.0
+// REUSABLE LOGIC: Used by api.js searchProjects and landing search box
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: createSearchIndex, searchIndex, tokenize, highlightText
+// DEPS: shared/utils.js
+
+import { escapeHTML } from './utils.js';
+
+// Field weights - title matches rank above body matches
+const FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    year: 4,
+    body: 1
+};
+
+// Prefix match scores lower than whole word match
+const PREFIX_FACTOR = 0.5;
+
+// Words: runs of letters/digits in any script (Latin + Cyrillic)
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+// <!-- ANCHOR: normalizeWord -->
+/**
+ * Normalize word for matching
+ * @param {string} word - Raw word
+ * @returns {string} Lowercased word with ё folded to е
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/ё/g, 'е');
+}
+
+// <!-- ANCHOR: tokenize -->
+/**
+ * Split text into normalized words
+ * @param {string} text - Any text (markdown allowed)
+ * @returns {string[]} Words ("UI/UX Дизайн" -> ["ui", "ux", "дизайн"])
+ */
+export function tokenize(text) {
+    return (String(text || '').match(WORD_REGEX) || []).map(normalizeWord);
+}
+
+// <!-- ANCHOR: createSearchIndex -->
+/**
+ * Build inverted index over projects
+ * @param {Object[]} projects - Projects from loadProjects()
+ * @returns {Object} Index { projects, terms: Map(term -> Map(projectIndex -> score)) }
+ *
+ * LOGIC: Every word of title, tags, year and markdown body is
+ * stored with its field weight. Repeated words add up, so a
+ * project mentioning a tool several times ranks higher.
+ *
+ * SCALED FOR: Portfolio size (tens of projects) - built once per locale
+ */
+export function createSearchIndex(projects) {
+    const terms = new Map();
+
+    projects.forEach((project, projectIndex) => {
+        const fields = {
+            title: project.title,
+            tags: (project.tags || []).join(' '),
+            year: project.year,
+            body: project.description
+        };
+
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text).forEach(term => {
+                if (!terms.has(term)) {
+                    terms.set(term, new Map());
+                }
+
+                const postings = terms.get(term);
+                postings.set(projectIndex, (postings.get(projectIndex) || 0) + FIELD_WEIGHTS[field]);
+            });
+        });
+    });
+
+    return { projects, terms };
+}
+
+// <!-- ANCHOR: searchIndex -->
+/**
+ * Search index and rank projects
+ * @param {Object} index - Index from createSearchIndex()
+ * @param {string} query - User query
+ * @returns {Object[]} [{ project, score, terms }] sorted by score, best first
+ *
+ * LOGIC: Every query word must match (AND). A query word matches
+ * index terms it is a prefix of ("диз" -> "дизайн"). Score is the
+ * sum of field weights, prefix matches count half.
+ * Empty query returns all projects in original order.
+ */
+export function searchIndex(index, query) {
+    const queryWords = [...new Set(tokenize(query))];
+
+    if (queryWords.length === 0) {
+        return index.projects.map(project => ({ project, score: 0, terms: [] }));
+    }
+
+    let candidates = null;
+
+    queryWords.forEach(word => {
+        const wordScores = new Map();
+
+        index.terms.forEach((postings, term) => {
+            if (!term.startsWith(word)) {
+                return;
+            }
+
+            const factor = term === word ? 1 : PREFIX_FACTOR;
+
+            postings.forEach((score, projectIndex) => {
+                wordScores.set(projectIndex, (wordScores.get(projectIndex) || 0) + score * factor);
+            });
+        });
+
+        // AND: keep only projects matching every word so far
+        if (candidates === null) {
+            candidates = wordScores;
+        } else {
+            const next = new Map();
+            candidates.forEach((score, projectIndex) => {
+                if (wordScores.has(projectIndex)) {
+                    next.set(projectIndex, score + wordScores.get(projectIndex));
+                }
+            });
+            candidates = next;
+        }
+    });
+
+    return [...candidates.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .map(([projectIndex, score]) => ({
+            project: index.projects[projectIndex],
+            score,
+            terms: queryWords
+        }));
+}
+
+// <!-- ANCHOR: highlightText -->
+/**
+ * Wrap words starting with query words in <mark>
+ * @param {string} text - Plain text to display
+ * @param {string[]} words - Normalized query words
+ * @returns {string} Escaped HTML with <mark> around matched prefixes
+ */
+export function highlightText(text, words) {
+    const source = String(text);
+
+    if (!words || words.length === 0) {
+        return escapeHTML(source);
+    }
+
+    let html = '';
+    let last = 0;
+
+    source.replace(WORD_REGEX, (word, offset) => {
+        const normalized = normalizeWord(word);
+        const match = words
+            .filter(queryWord => normalized.startsWith(queryWord))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (match) {
+            html += escapeHTML(source.slice(last, offset));
+            html += `<mark>${escapeHTML(word.slice(0, match.length))}</mark>${escapeHTML(word.slice(match.length))}`;
+            last = offset + word.length;
+        }
+
+        return word;
+    });
+
+    return html + escapeHTML(source.slice(last));
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,259 @@
+// ==============================================
+// SEO.JS - Page metadata for crawlers and link previews
+// Purpose: Title, description, canonical, Open Graph, Twitter, JSON-LD
+// Dependencies: shared/config.js, shared/markdown.js, shared/utils.js
+// Version: 1.0.0
+// REUSABLE LOGIC: Browser (applyMeta on route change) and
+//                 scripts/prerender.mjs (renderMetaTags into static HTML)
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: getSiteMeta, getProjectMeta, applyMeta, renderMetaTags, createExcerpt
+// DEPS: shared/config.js, shared/markdown.js, shared/utils.js
+
+import { SITE } from './config.js';
+import { DEFAULT_LOCALE } from './markdown.js';
+import { escapeHTML } from './utils.js';
+
+// Search engines cut descriptions around this length
+const DESCRIPTION_LENGTH = 160;
+
+// og:locale values per content language
+const OG_LOCALES = {
+    ru: 'ru_RU',
+    en: 'en_US'
+};
+
+// Marks tags managed here - static tags from index.html are replaced, not duplicated
+const MANAGED_ATTR = 'data-seo';
+
+// <!-- ANCHOR: getSiteMeta -->
+/**
+ * Metadata for the landing page
+ * @param {string} [origin] - Site origin (default: SITE.url, then current origin)
+ * @returns {Object} Meta object (see getProjectMeta)
+ */
+export function getSiteMeta(origin) {
+    return {
+        title: SITE.name,
+        description: SITE.description,
+        url: toAbsoluteUrl('/', origin),
+        image: SITE.image ? toAbsoluteUrl(SITE.image, origin) : '',
+        type: 'website',
+        locale: OG_LOCALES[DEFAULT_LOCALE],
+        robots: '',
+        jsonLd: {
+            '@context': 'https://schema.org',
+            '@type': 'WebSite',
+            name: SITE.name,
+            url: toAbsoluteUrl('/', origin),
+            author: { '@type': 'Person', name: SITE.author }
+        }
+    };
+}
+
+// <!-- ANCHOR: getProjectMeta -->
+/**
+ * Metadata for a project page
+ * @param {Object} project - Normalized project
+ * @param {string} [origin] - Site origin (default: SITE.url, then current origin)
+ * @returns {Object} { title, description, url, image, type, locale, robots, jsonLd }
+ *
+ * LOGIC: Description = frontmatter `summary`, else first paragraph
+ * of the case study. Canonical = /projects/<id> (+ ?lang= for
+ * translations). Image = first gallery image. Unlisted projects
+ * get robots noindex - reachable by link, kept out of search.
+ *
+ * REUSABLE LOGIC: Same object feeds applyMeta() and renderMetaTags()
+ */
+export function getProjectMeta(project, origin) {
+    const query = project.locale && project.locale !== DEFAULT_LOCALE ? `?lang=${project.locale}` : '';
+    const url = toAbsoluteUrl(`/projects/${encodeURIComponent(project.id)}${query}`, origin);
+    const description = project.summary || createExcerpt(project.description) || SITE.description;
+    const images = (project.images || []).map(image => toAbsoluteUrl(image.src, origin));
+    const image = images[0] || (project.thumbnail ? toAbsoluteUrl(project.thumbnail, origin) : '');
+
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        name: project.title,
+        description,
+        url,
+        image: images.length > 0 ? images : image || undefined,
+        dateCreated: project.date || String(project.year),
+        keywords: project.tags.join(', ') || undefined,
+        inLanguage: project.locale || DEFAULT_LOCALE,
+        author: { '@type': 'Person', name: SITE.author },
+        // Live product the case study is about
+        sameAs: project.link || undefined
+    };
+
+    return {
+        title: `${project.title} - ${SITE.name}`,
+        description,
+        url,
+        image,
+        type: 'article',
+        locale: OG_LOCALES[project.locale] || OG_LOCALES[DEFAULT_LOCALE],
+        robots: project.unlisted ? 'noindex' : '',
+        jsonLd
+    };
+}
+
+// <!-- ANCHOR: applyMeta -->
+/**
+ * Write metadata into document head
+ * @param {Object} meta - From getSiteMeta() / getProjectMeta()
+ * @returns {void}
+ *
+ * LOGIC: Tags are updated in place or created; empty values remove
+ * the tag. Called on every route change, so previews of a link
+ * copied from the address bar (and crawlers that run JS) see the
+ * current page.
+ */
+export function applyMeta(meta) {
+    document.title = meta.title;
+
+    getTagList(meta).forEach(({ tag, attrs, content }) => {
+        const [keyAttr, keyValue] = Object.entries(attrs)[0];
+        const valueAttr = tag === 'link' ? 'href' : 'content';
+        let element = document.head.querySelector(`${tag}[${keyAttr}="${keyValue}"]`);
+
+        if (!content) {
+            element?.remove();
+            return;
+        }
+
+        if (!element) {
+            element = document.createElement(tag);
+            element.setAttribute(keyAttr, keyValue);
+            document.head.appendChild(element);
+        }
+
+        element.setAttribute(valueAttr, content);
+    });
+
+    let script = document.head.querySelector(`script[type="application/ld+json"][${MANAGED_ATTR}]`);
+
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.setAttribute(MANAGED_ATTR, '');
+        document.head.appendChild(script);
+    }
+
+    script.textContent = JSON.stringify(meta.jsonLd);
+}
+
+// <!-- ANCHOR: renderMetaTags -->
+/**
+ * Render metadata as HTML for static pages
+ * @param {Object} meta - From getSiteMeta() / getProjectMeta()
+ * @param {string} indent - Prepended to every line after the first
+ * @returns {string} <title>, <meta>, <link rel="canonical"> and JSON-LD <script>
+ *
+ * WHY: Link preview bots (Telegram, Behance) don't run JS - head
+ * must be in the HTML response.
+ */
+export function renderMetaTags(meta, indent = '    ') {
+    const lines = [`<title>${escapeHTML(meta.title)}</title>`];
+
+    getTagList(meta)
+        .filter(({ content }) => content)
+        .forEach(({ tag, attrs, content }) => {
+            const [keyAttr, keyValue] = Object.entries(attrs)[0];
+            const valueAttr = tag === 'link' ? 'href' : 'content';
+            lines.push(`<${tag} ${keyAttr}="${keyValue}" ${valueAttr}="${escapeHTML(content)}">`);
+        });
+
+    // "<" escaped - case study text can't close the script tag
+    const json = JSON.stringify(meta.jsonLd).replace(/</g, '\\u003c');
+    lines.push(`<script type="application/ld+json" ${MANAGED_ATTR}>${json}</script>`);
+
+    return lines.join(`\n${indent}`);
+}
+
+// <!-- ANCHOR: createExcerpt -->
+/**
+ * Plain-text excerpt of markdown for descriptions
+ * @param {string} markdown - Case study body
+ * @param {number} maxLength - Max characters (default: 160)
+ * @returns {string} First text paragraph without markdown syntax, '' if none
+ *
+ * LOGIC: Skips headings, lists, shortcodes, code, tables and
+ * images; link text is kept. Cut at a word boundary with "…".
+ */
+export function createExcerpt(markdown, maxLength = DESCRIPTION_LENGTH) {
+    const paragraph = String(markdown || '')
+        .replace(/```[\s\S]*?```/g, '')
+        .split(/\n\s*\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(#|:::|[-*+] |\d+\. |\||!\[|>)/.test(block));
+
+    if (!paragraph) {
+        return '';
+    }
+
+    const text = paragraph
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`~]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (text.length <= maxLength) {
+        return text;
+    }
+
+    const cut = text.slice(0, maxLength - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+
+    return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+}
+
+// <!-- ANCHOR: getTagList -->
+/**
+ * Head tags for a meta object
+ * @param {Object} meta - Meta object
+ * @returns {Object[]} [{ tag, attrs: { keyAttr: keyValue }, content }]
+ */
+function getTagList(meta) {
+    return [
+        { tag: 'meta', attrs: { name: 'description' }, content: meta.description },
+        { tag: 'meta', attrs: { name: 'robots' }, content: meta.robots },
+        { tag: 'link', attrs: { rel: 'canonical' }, content: meta.url },
+        { tag: 'meta', attrs: { property: 'og:type' }, content: meta.type },
+        { tag: 'meta', attrs: { property: 'og:site_name' }, content: SITE.name },
+        { tag: 'meta', attrs: { property: 'og:locale' }, content: meta.locale },
+        { tag: 'meta', attrs: { property: 'og:title' }, content: meta.title },
+        { tag: 'meta', attrs: { property: 'og:description' }, content: meta.description },
+        { tag: 'meta', attrs: { property: 'og:url' }, content: meta.url },
+        { tag: 'meta', attrs: { property: 'og:image' }, content: meta.image },
+        { tag: 'meta', attrs: { name: 'twitter:card' }, content: meta.image ? 'summary_large_image' : 'summary' },
+        { tag: 'meta', attrs: { name: 'twitter:title' }, content: meta.title },
+        { tag: 'meta', attrs: { name: 'twitter:description' }, content: meta.description },
+        { tag: 'meta', attrs: { name: 'twitter:image' }, content: meta.image }
+    ];
+}
+
+// <!-- ANCHOR: toAbsoluteUrl -->
+/**
+ * Make root-relative path absolute
+ * @param {string} path - Path like /projects/x (absolute URLs kept)
+ * @param {string} [origin] - Origin override
+ * @returns {string} Absolute URL, or encoded path if no origin is known
+ *
+ * LOGIC: SITE.url wins over the current origin, so previews of a
+ * preview deployment still point at production.
+ */
+function toAbsoluteUrl(path, origin) {
+    const base = origin || SITE.url || (typeof window !== 'undefined' ? window.location.origin : '');
+
+    if (!base) {
+        return encodeURI(path);
+    }
+
+    return new URL(path, `${base.replace(/\/$/, '')}/`).href;
+}
+
+// UPDATED COMMENTS
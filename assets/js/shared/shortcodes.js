@@ -0,0 +1,280 @@
+// ==============================================
+// SHORTCODES.JS - Shortcode components for project markdown
+// Purpose: Render ::: name args ::: directives to HTML
+// Dependencies: shared/utils.js, shared/media.js
+// Version: 1.0.1
+// REUSABLE LOGIC: Used by markdown.js (browser + build scripts)
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: renderShortcode, parseShortcodeArgs, SHORTCODE_NAMES
+// DEPS: shared/utils.js, shared/media.js
+
+import { escapeHTML, resolveSafeUrl } from './utils.js';
+import { getVideoEmbedUrl, VIDEO_FILE_REGEX } from './media.js';
+
+// <!-- ANCHOR: SHORTCODES -->
+/**
+ * Shortcode registry: name -> renderer
+ *
+ * Each renderer gets ({ args, attrs }, childrenHtml, context) and
+ * returns HTML string. context = { baseUrl, images, dev }.
+ *
+ * Syntax in project.md:
+ *   ::: gallery 3-5 :::                       images 3..5 of the project
+ *   ::: video clip.mp4 :::                    looping inline video
+ *   ::: video https://youtu.be/ID :::         YouTube / Vimeo embed
+ *   ::: metric value="35%" label="conversion" :::
+ *   ::: row image=2 reverse                   text + image row (block form)
+ *   Markdown text...
+ *   :::
+ */
+const SHORTCODES = {
+    gallery: renderGallery,
+    video: renderVideo,
+    metric: renderMetric,
+    row: renderRow
+};
+
+export const SHORTCODE_NAMES = Object.keys(SHORTCODES);
+
+// <!-- ANCHOR: renderShortcode -->
+/**
+ * Render one shortcode
+ * @param {string} name - Shortcode name
+ * @param {string} argsText - Raw arguments after the name
+ * @param {string} childrenHtml - Rendered inner markdown (block form) or ''
+ * @param {Object} context - { baseUrl, images, dev }
+ * @returns {string} HTML string
+ *
+ * LOGIC: Unknown names and invalid arguments render a visible
+ * warning in dev and nothing in production.
+ */
+export function renderShortcode(name, argsText, childrenHtml, context) {
+    const renderer = SHORTCODES[name];
+
+    if (!renderer) {
+        return renderWarning(`Unknown shortcode "${name}"`, context);
+    }
+
+    try {
+        return renderer(parseShortcodeArgs(argsText), childrenHtml, context);
+    } catch (error) {
+        return renderWarning(`Shortcode "${name}": ${error.message}`, context);
+    }
+}
+
+// <!-- ANCHOR: parseShortcodeArgs -->
+/**
+ * Parse shortcode arguments
+ * @param {string} text - e.g. '3-5' or 'value="35%" label="conversion"'
+ * @returns {Object} { args: positional strings, attrs: key/value map }
+ */
+export function parseShortcodeArgs(text) {
+    const result = { args: [], attrs: {} };
+    const tokenRegex = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenRegex.exec(text || '')) !== null) {
+        if (match[1]) {
+            result.attrs[match[1]] = match[2] ?? match[3] ?? match[4];
+        } else {
+            result.args.push(match[5] ?? match[6]);
+        }
+    }
+
+    return result;
+}
+
+// <!-- ANCHOR: renderGallery -->
+/**
+ * Render inline image gallery from project images
+ * @param {Object} params - args[0] selects images: "3-5", "1,3,4" or none for all
+ * @param {string} childrenHtml - Unused
+ * @param {Object} context - Render context with images
+ * @returns {string} HTML
+ */
+function renderGallery({ args }, childrenHtml, context) {
+    const images = context.images || [];
+    const numbers = args[0] ? parseSelection(args[0], images.length) : images.map((image, index) => index + 1);
+    const missing = numbers.filter(number => !images[number - 1]);
+
+    if (numbers.length === 0) {
+        throw new Error(`invalid selection "${args[0]}"`);
+    }
+
+    if (missing.length > 0) {
+        throw new Error(`no image ${missing.join(', ')} (project has ${images.length})`);
+    }
+
+    const items = numbers.map(number => {
+        const image = images[number - 1];
+        return `<figure class="sc-gallery__item">${renderImg(image, image.alt || '')}</figure>`;
+    });
+
+    return `<div class="sc-gallery" style="--sc-gallery-columns: ${Math.min(items.length, 3)}">${items.join('')}</div>`;
+}
+
+// <!-- ANCHOR: renderVideo -->
+/**
+ * Render looping inline video or YouTube/Vimeo embed
+ * @param {Object} params - args[0] or attrs.src, optional attrs.poster, attrs.title
+ * @param {string} childrenHtml - Unused
+ * @param {Object} context - Render context
+ * @returns {string} HTML
+ */
+function renderVideo({ args, attrs }, childrenHtml, context) {
+    const source = attrs.src || args[0];
+
+    if (!source) {
+        throw new Error('missing video source');
+    }
+
+    const title = escapeHTML(attrs.title || 'Video');
+    const embedUrl = getVideoEmbedUrl(source);
+
+    if (embedUrl) {
+        return `<div class="sc-video sc-video--embed"><iframe src="${embedUrl}" title="${title}" loading="lazy" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe></div>`;
+    }
+
+    if (!VIDEO_FILE_REGEX.test(source)) {
+        throw new Error(`unsupported video "${source}" (use .mp4/.webm, YouTube or Vimeo)`);
+    }
+
+    const src = resolveSafeUrl(source, context.baseUrl);
+    const poster = attrs.poster ? resolveSafeUrl(attrs.poster, context.baseUrl) : null;
+
+    if (!src) {
+        throw new Error(`unsafe video URL "${source}"`);
+    }
+
+    const posterAttr = poster ? ` poster="${escapeHTML(poster)}"` : '';
+
+    // Muted + playsinline: required for autoplay on mobile
+    return `<div class="sc-video"><video src="${escapeHTML(src)}"${posterAttr} autoplay muted loop playsinline preload="metadata" aria-label="${title}"></video></div>`;
+}
+
+// <!-- ANCHOR: renderMetric -->
+/**
+ * Render big metric callout ("+35% conversion")
+ * @param {Object} params - attrs.value (required), attrs.label
+ * @returns {string} HTML
+ */
+function renderMetric({ args, attrs }) {
+    const value = attrs.value || args[0];
+
+    if (!value) {
+        throw new Error('missing value="..."');
+    }
+
+    const label = attrs.label ? `<span class="sc-metric__label">${escapeHTML(attrs.label)}</span>` : '';
+
+    return `<div class="sc-metric"><span class="sc-metric__value">${escapeHTML(value)}</span>${label}</div>`;
+}
+
+// <!-- ANCHOR: renderRow -->
+/**
+ * Render two-column row: markdown text next to an image
+ * @param {Object} params - attrs.image (project image number or path), "reverse" arg
+ * @param {string} childrenHtml - Rendered text column
+ * @param {Object} context - Render context
+ * @returns {string} HTML
+ */
+function renderRow({ args, attrs }, childrenHtml, context) {
+    if (!attrs.image) {
+        throw new Error('missing image=N');
+    }
+
+    if (!childrenHtml) {
+        throw new Error('needs text, use block form "::: row image=N" ... ":::"');
+    }
+
+    let image;
+
+    if (/^\d+$/.test(attrs.image)) {
+        image = (context.images || [])[Number(attrs.image) - 1];
+
+        if (!image) {
+            throw new Error(`no image ${attrs.image}`);
+        }
+    } else {
+        const src = resolveSafeUrl(attrs.image, context.baseUrl);
+
+        if (!src) {
+            throw new Error(`unsafe image URL "${attrs.image}"`);
+        }
+
+        image = { src };
+    }
+
+    const reverse = args.includes('reverse') ? ' sc-row--reverse' : '';
+
+    return `<div class="sc-row${reverse}"><div class="sc-row__text">${childrenHtml}</div><figure class="sc-row__media">${renderImg(image, attrs.alt || image.alt || '')}</figure></div>`;
+}
+
+// <!-- ANCHOR: renderImg -->
+/**
+ * Render lazy image tag with intrinsic size if known
+ * @param {Object} image - { src, width, height }
+ * @param {string} alt - Alt text
+ * @returns {string} HTML
+ */
+function renderImg(image, alt) {
+    const size = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+    return `<img src="${escapeHTML(image.src)}" alt="${escapeHTML(alt)}"${size} loading="lazy">`;
+}
+
+// <!-- ANCHOR: parseSelection -->
+/**
+ * Parse image selection
+ * @param {string} text - "3-5", "1,3,4" or "2"
+ * @param {number} count - Number of project images
+ * @returns {number[]} 1-based image numbers (empty if invalid)
+ * @throws {Error} Range ends past the last image
+ *
+ * WHY: Ranges are expanded number by number - "1-999999999"
+ * would freeze render, lint and prerender.
+ */
+function parseSelection(text, count) {
+    const numbers = [];
+
+    for (const part of text.split(',')) {
+        const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+
+        if (!range) {
+            return [];
+        }
+
+        const from = Number(range[1]);
+        const to = range[2] ? Number(range[2]) : from;
+
+        if (range[2] && to > count) {
+            throw new Error(`range "${part.trim()}" goes past image ${count}`);
+        }
+
+        for (let number = from; number <= to; number++) {
+            numbers.push(number);
+        }
+    }
+
+    return numbers;
+}
+
+// <!-- ANCHOR: renderWarning -->
+/**
+ * Render content warning
+ * @param {string} message - Warning text
+ * @param {Object} context - Render context (dev flag)
+ * @returns {string} Visible warning in dev, '' in production
+ */
+function renderWarning(message, context) {
+    if (!context.dev) {
+        return '';
+    }
+
+    console.warn(`[shortcode] ${message}`);
+
+    return `<div class="sc-warning" role="note">${escapeHTML(message)}</div>`;
+}
+
+// UPDATED COMMENTS
@@ -7,7 +7,8 @@
 // ==============================================
 
 // ## ANCHOR POINTS
-// EXPORTS: debounce, formatDate, createElement, sanitizeHTML
+// EXPORTS: debounce, formatDate, createElement, sanitizeHTML, escapeHTML, slugify,
+//          resolveSafeUrl, isDevelopment
 
 // <!-- ANCHOR: debounce -->
 /**
@@ -105,4 +106,90 @@ export function sanitizeHTML(html) {
     return temp.innerHTML;
 }
 
+// <!-- ANCHOR: escapeHTML -->
+/**
+ * Escape HTML special characters in a string
+ * @param {string} text - Untrusted text
+ * @returns {string} Text safe for HTML content and quoted attributes
+ * 
+ * LOGIC: String replacement, no DOM needed. Unlike sanitizeHTML
+ * this also escapes quotes and works in Node build scripts.
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// <!-- ANCHOR: slugify -->
+/**
+ * Convert text to URL/id-friendly slug
+ * @param {string} text - Source text (Latin or Cyrillic)
+ * @returns {string} Slug (e.g., "Задачи проекта" -> "задачи-проекта")
+ * 
+ * LOGIC: Lowercases, keeps letters and digits of any script,
+ * joins words with hyphens.
+ */
+export function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .trim()
+        .replace(/[\s-]+/g, '-');
+}
+
+// URL schemes allowed in user content (markdown links, shortcodes)
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// <!-- ANCHOR: resolveSafeUrl -->
+/**
+ * Validate URL scheme and resolve relative paths
+ * @param {string} url - Raw URL from content
+ * @param {string} baseUrl - Prefix for relative paths (default: '')
+ * @returns {string|null} Safe URL or null if scheme is not allowed
+ * 
+ * WHY: Blocks javascript:/data:/vbscript: XSS vectors. Control
+ * characters and whitespace are removed first because browsers
+ * ignore them inside schemes ("java\tscript:").
+ */
+export function resolveSafeUrl(url, baseUrl = '') {
+    const cleaned = String(url).replace(/[\u0000- \u007F]/g, '');
+    
+    if (!cleaned) {
+        return null;
+    }
+    
+    const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+    
+    if (scheme) {
+        return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? cleaned : null;
+    }
+    
+    // Absolute paths, anchors and protocol-relative URLs stay as-is
+    if (/^[/#?]/.test(cleaned)) {
+        return cleaned;
+    }
+    
+    return baseUrl + cleaned.replace(/^\.\//, '');
+}
+
+// <!-- ANCHOR: isDevelopment -->
+/**
+ * Check if app runs on a local dev server
+ * @returns {boolean} True on localhost/127.0.0.1, false in production and Node
+ * 
+ * LOGIC: Used to show content warnings (unknown shortcodes, etc.)
+ * only to the author, never to visitors.
+ */
+export function isDevelopment() {
+    if (typeof window === 'undefined') {
+        return false;
+    }
+    
+    return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+}
+
 // UPDATED COMMENTS
@@ -0,0 +1,760 @@
+// ==============================================
+// YAML.JS - YAML subset parser
+// Purpose: Parse YAML used in project.md frontmatter
+// Dependencies: None (vanilla JS)
+// Version: 1.0.1
+// REUSABLE LOGIC: Used by markdown.js and Node build scripts
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: parseYaml, YamlError
+// DEPS: None
+
+// Plain scalars that can't start a value (anchors, aliases, tags, directives)
+const RESERVED_INDICATORS = ['&', '*', '!', '%', '@', '`', '|', '>'];
+
+// key: value (key may be quoted, value may be empty)
+const KEY_REGEX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#\-\[\]{}][^:]*?|-[^\s:][^:]*?)\s*:(?:[ \t]+(.*))?$/;
+
+// Block scalar header: | or > with optional chomping indicator
+const BLOCK_SCALAR_REGEX = /^([|>])([+-]?)$/;
+
+// Keys that would reach Object.prototype instead of becoming own properties
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Numbers: 2025, -1, 3.14, .5, 1e3
+const NUMBER_REGEX = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+// <!-- ANCHOR: YamlError -->
+/**
+ * Error thrown for malformed YAML
+ * @param {string} message - Human readable reason
+ * @param {number} line - 1-based line number in the source file
+ *
+ * LOGIC: Keeps line number as a separate field so callers
+ * (loader, lint script) can report file:line.
+ */
+export class YamlError extends Error {
+    constructor(message, line) {
+        super(`${message} (line ${line})`);
+        this.name = 'YamlError';
+        this.reason = message;
+        this.line = line;
+    }
+}
+
+// <!-- ANCHOR: parseYaml -->
+/**
+ * Parse YAML subset into plain JS object
+ * @param {string} text - YAML source
+ * @param {number} lineOffset - Added to reported line numbers (default: 0)
+ * @returns {Object} Parsed mapping
+ * @throws {YamlError} When source is malformed or uses unsupported syntax
+ *
+ * LOGIC: Indentation-based recursive descent over lines.
+ * Supports: nested maps, `- item` block lists, flow lists/maps
+ * ([a, b], {a: 1}), quoted strings, | and > block strings,
+ * booleans, null, numbers and # comments.
+ *
+ * WHY: Frontmatter needs structured data (credits, metrics,
+ * captions) without pulling a full YAML library into the browser.
+ */
+export function parseYaml(text, lineOffset = 0) {
+    const lines = text
+        .replace(/\r\n?/g, '\n')
+        .split('\n')
+        .map((raw, index) => ({ raw, number: index + 1 + lineOffset }));
+
+    const state = { lines, index: 0 };
+    const first = peekLine(state);
+
+    // Empty document
+    if (!first) {
+        return {};
+    }
+
+    const indent = indentOf(first);
+
+    if (indent !== 0) {
+        throw new YamlError('Unexpected indentation', first.number);
+    }
+
+    if (isSequenceItem(first.raw.slice(indent))) {
+        throw new YamlError('Expected a mapping at top level, found a list', first.number);
+    }
+
+    const result = parseMapping(state, 0);
+    const rest = peekLine(state);
+
+    if (rest) {
+        throw new YamlError('Unexpected content', rest.number);
+    }
+
+    return result;
+}
+
+// <!-- ANCHOR: peekLine -->
+/**
+ * Skip blank and comment lines, return next meaningful line
+ * @param {Object} state - Parser state
+ * @returns {Object|null} Line object or null at end of input
+ */
+function peekLine(state) {
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        const trimmed = line.raw.trim();
+
+        if (trimmed && !trimmed.startsWith('#')) {
+            if (/^ *\t/.test(line.raw)) {
+                throw new YamlError('Tabs are not allowed for indentation', line.number);
+            }
+            return line;
+        }
+
+        state.index++;
+    }
+
+    return null;
+}
+
+// <!-- ANCHOR: indentOf -->
+/**
+ * Count leading spaces of a line
+ * @param {Object} line - Line object
+ * @returns {number} Indentation width
+ */
+function indentOf(line) {
+    return line.raw.length - line.raw.trimStart().length;
+}
+
+// <!-- ANCHOR: isSequenceItem -->
+/**
+ * Check if line content starts a block list item
+ * @param {string} content - Line content without indentation
+ * @returns {boolean} True for "- item" or bare "-"
+ */
+function isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+}
+
+// <!-- ANCHOR: parseMapping -->
+/**
+ * Parse block mapping at given indentation
+ * @param {Object} state - Parser state
+ * @param {number} indent - Indentation of mapping keys
+ * @returns {Object} Parsed mapping
+ */
+function parseMapping(state, indent) {
+    const result = {};
+
+    for (let line = peekLine(state); line; line = peekLine(state)) {
+        const lineIndent = indentOf(line);
+
+        if (lineIndent < indent) {
+            break;
+        }
+
+        if (lineIndent > indent) {
+            throw new YamlError('Unexpected indentation', line.number);
+        }
+
+        const content = line.raw.slice(indent);
+
+        if (isSequenceItem(content)) {
+            throw new YamlError('Unexpected list item, expected "key: value"', line.number);
+        }
+
+        const entry = splitKey(content);
+
+        if (!entry) {
+            throw new YamlError('Expected "key: value"', line.number);
+        }
+
+        const key = parseKey(entry.key, line.number);
+
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+            throw new YamlError(`Duplicate key "${key}"`, line.number);
+        }
+
+        state.index++;
+        result[key] = parseValue(state, entry.value, indent, line.number, true);
+    }
+
+    return result;
+}
+
+// <!-- ANCHOR: parseSequence -->
+/**
+ * Parse block sequence ("- item" lines) at given indentation
+ * @param {Object} state - Parser state
+ * @param {number} indent - Indentation of dashes
+ * @returns {Array} Parsed list
+ *
+ * LOGIC: Replaces the dash with a space so "- key: value" items
+ * become ordinary mappings indented past the dash.
+ */
+function parseSequence(state, indent) {
+    const result = [];
+
+    for (let line = peekLine(state); line; line = peekLine(state)) {
+        const lineIndent = indentOf(line);
+
+        if (lineIndent < indent) {
+            break;
+        }
+
+        if (lineIndent > indent) {
+            throw new YamlError('Unexpected indentation', line.number);
+        }
+
+        const content = line.raw.slice(indent);
+
+        // Sibling key of a parent mapping ends the list
+        if (!isSequenceItem(content)) {
+            break;
+        }
+
+        const itemText = content.slice(1).trim();
+
+        if (!itemText || itemText.startsWith('#')) {
+            // "-" alone: value is the nested block below
+            state.index++;
+            result.push(parseValue(state, '', indent, line.number, false));
+            continue;
+        }
+
+        // Blank out the dash and re-read line as nested block
+        line.raw = `${line.raw.slice(0, indent)} ${line.raw.slice(indent + 1)}`;
+        const itemIndent = indentOf(line);
+
+        if (isSequenceItem(itemText)) {
+            result.push(parseSequence(state, itemIndent));
+        } else if (splitKey(itemText) && !startsWithQuoteOrFlow(itemText)) {
+            result.push(parseMapping(state, itemIndent));
+        } else {
+            state.index++;
+            result.push(parseValue(state, itemText, indent, line.number, false));
+        }
+    }
+
+    return result;
+}
+
+// <!-- ANCHOR: parseValue -->
+/**
+ * Parse value that follows "key:" or "-"
+ * @param {Object} state - Parser state
+ * @param {string} text - Inline text after the indicator
+ * @param {number} parentIndent - Indentation of the key or dash
+ * @param {number} lineNumber - Line number for errors
+ * @param {boolean} allowSameIndentList - Allow "key:\n- item" at key indent
+ * @returns {*} Parsed value
+ */
+function parseValue(state, text, parentIndent, lineNumber, allowSameIndentList) {
+    const value = stripComment(text || '', lineNumber).trim();
+
+    if (value) {
+        const header = value.match(BLOCK_SCALAR_REGEX);
+
+        if (header) {
+            return parseBlockScalar(state, header[1], header[2], parentIndent);
+        }
+
+        return parseInline(value, lineNumber);
+    }
+
+    // Empty inline value: look for nested block
+    const next = peekLine(state);
+
+    if (!next) {
+        return null;
+    }
+
+    const nextIndent = indentOf(next);
+    const nextContent = next.raw.slice(nextIndent);
+
+    if (nextIndent === parentIndent && allowSameIndentList && isSequenceItem(nextContent)) {
+        return parseSequence(state, nextIndent);
+    }
+
+    if (nextIndent <= parentIndent) {
+        return null;
+    }
+
+    if (isSequenceItem(nextContent)) {
+        return parseSequence(state, nextIndent);
+    }
+
+    return parseMapping(state, nextIndent);
+}
+
+// <!-- ANCHOR: parseBlockScalar -->
+/**
+ * Parse literal (|) or folded (>) multi-line string
+ * @param {Object} state - Parser state
+ * @param {string} style - "|" keeps newlines, ">" folds them to spaces
+ * @param {string} chomp - "" clip, "-" strip, "+" keep trailing newlines
+ * @param {number} parentIndent - Indentation of the owning key
+ * @returns {string} Block content
+ *
+ * LOGIC: Content indentation is taken from the first non-empty line.
+ * Comment-looking lines inside the block are content, so lines are
+ * read raw instead of through peekLine().
+ */
+function parseBlockScalar(state, style, chomp, parentIndent) {
+    const collected = [];
+    let contentIndent = null;
+
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+
+        if (!line.raw.trim()) {
+            collected.push('');
+            state.index++;
+            continue;
+        }
+
+        const lineIndent = indentOf(line);
+
+        if (contentIndent === null) {
+            if (lineIndent <= parentIndent) {
+                break;
+            }
+            contentIndent = lineIndent;
+        }
+
+        if (lineIndent < contentIndent) {
+            if (lineIndent > parentIndent) {
+                throw new YamlError('Inconsistent indentation in block string', line.number);
+            }
+            break;
+        }
+
+        collected.push(line.raw.slice(contentIndent));
+        state.index++;
+    }
+
+    // Separate trailing blank lines for chomping
+    let trailing = 0;
+    while (collected.length && collected[collected.length - 1] === '') {
+        collected.pop();
+        trailing++;
+    }
+
+    if (!collected.length) {
+        return '';
+    }
+
+    const body = style === '|' ? collected.join('\n') : foldLines(collected);
+
+    if (chomp === '-') {
+        return body;
+    }
+
+    if (chomp === '+') {
+        return body + '\n'.repeat(trailing + 1);
+    }
+
+    return `${body}\n`;
+}
+
+// <!-- ANCHOR: foldLines -->
+/**
+ * Fold block lines for ">" strings
+ * @param {string[]} lines - Lines with content indentation removed
+ * @returns {string} Folded text
+ *
+ * LOGIC: Adjacent lines join with a space, blank lines become
+ * newlines, more-indented lines keep their line breaks.
+ */
+function foldLines(lines) {
+    let text = '';
+    let breaks = 0;
+    let previousIndented = false;
+
+    lines.forEach((line, index) => {
+        if (!line) {
+            breaks++;
+            return;
+        }
+
+        const indented = /^\s/.test(line);
+
+        if (index === 0) {
+            text = line;
+        } else if (breaks > 0) {
+            text += '\n'.repeat(breaks) + line;
+        } else if (indented || previousIndented) {
+            text += `\n${line}`;
+        } else {
+            text += ` ${line}`;
+        }
+
+        breaks = 0;
+        previousIndented = indented;
+    });
+
+    return text;
+}
+
+// <!-- ANCHOR: splitKey -->
+/**
+ * Split "key: value" line content
+ * @param {string} content - Line content without indentation
+ * @returns {Object|null} { key, value } or null if not a mapping entry
+ */
+function splitKey(content) {
+    const match = content.match(KEY_REGEX);
+
+    if (!match) {
+        return null;
+    }
+
+    return { key: match[1], value: match[2] || '' };
+}
+
+// <!-- ANCHOR: parseKey -->
+/**
+ * Resolve mapping key text to string
+ * @param {string} text - Raw key (plain or quoted)
+ * @param {number} lineNumber - Line number for errors
+ * @returns {string} Key
+ */
+function parseKey(text, lineNumber) {
+    const key = text.startsWith('"') || text.startsWith("'")
+        ? readQuoted(text, 0, lineNumber).value
+        : text.trim();
+
+    return checkKey(key, lineNumber);
+}
+
+// <!-- ANCHOR: checkKey -->
+/**
+ * Reject keys that can't be stored as plain properties
+ * @param {string} key - Mapping key
+ * @param {number} lineNumber - Line number for errors
+ * @returns {string} Key
+ * @throws {YamlError} For UNSAFE_KEYS
+ *
+ * WHY: "__proto__: x" would be dropped without a trace (or change
+ * the object's prototype) - the author must see it in lint.
+ */
+function checkKey(key, lineNumber) {
+    if (UNSAFE_KEYS.includes(key)) {
+        throw new YamlError(`Key "${key}" is not allowed`, lineNumber);
+    }
+
+    return key;
+}
+
+// <!-- ANCHOR: startsWithQuoteOrFlow -->
+/**
+ * Check if inline text is a quoted scalar or flow collection
+ * @param {string} text - Inline text
+ * @returns {boolean} True if text must be parsed as a single value
+ */
+function startsWithQuoteOrFlow(text) {
+    return /^["'[{]/.test(text) && !/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(\s|$)/.test(text);
+}
+
+// <!-- ANCHOR: stripComment -->
+/**
+ * Remove trailing " # comment" outside quotes
+ * @param {string} text - Inline text
+ * @param {number} lineNumber - Line number for errors
+ * @returns {string} Text without comment
+ */
+function stripComment(text, lineNumber) {
+    let quote = null;
+    let tokenStart = true; // Quotes only open a value, not inside plain words
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (quote === '"' && char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if ((char === '"' || char === "'") && tokenStart) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+
+        if (!quote && !/\s/.test(char)) {
+            tokenStart = /[[{,:]/.test(char);
+        }
+    }
+
+    if (quote) {
+        throw new YamlError('Unterminated quoted string', lineNumber);
+    }
+
+    return text;
+}
+
+// <!-- ANCHOR: parseInline -->
+/**
+ * Parse single-line value: quoted string, flow collection or plain scalar
+ * @param {string} text - Trimmed inline text (comment removed)
+ * @param {number} lineNumber - Line number for errors
+ * @returns {*} Parsed value
+ */
+function parseInline(text, lineNumber) {
+    const reader = { text, pos: 0, lineNumber };
+    const value = readFlowValue(reader, false);
+
+    skipSpaces(reader);
+
+    if (reader.pos < text.length) {
+        throw new YamlError(`Unexpected "${text.slice(reader.pos)}" after value`, lineNumber);
+    }
+
+    return value;
+}
+
+// <!-- ANCHOR: readFlowValue -->
+/**
+ * Read one value starting at reader position
+ * @param {Object} reader - { text, pos, lineNumber }
+ * @param {boolean} inFlow - True inside [ ] or { } (commas end plain values)
+ * @returns {*} Parsed value
+ */
+function readFlowValue(reader, inFlow) {
+    skipSpaces(reader);
+    const char = reader.text[reader.pos];
+
+    if (char === '"' || char === "'") {
+        const { value, end } = readQuoted(reader.text, reader.pos, reader.lineNumber);
+        reader.pos = end;
+        return value;
+    }
+
+    if (char === '[') {
+        return readFlowSequence(reader);
+    }
+
+    if (char === '{') {
+        return readFlowMapping(reader);
+    }
+
+    // Plain scalar runs to end of line, or to , ] } inside flow
+    const start = reader.pos;
+    const stop = inFlow ? /[,\]}]/ : null;
+
+    while (reader.pos < reader.text.length) {
+        const current = reader.text[reader.pos];
+
+        if (stop && stop.test(current)) {
+            break;
+        }
+
+        if (inFlow && current === ':' && /\s/.test(reader.text[reader.pos + 1] || ' ')) {
+            break;
+        }
+
+        reader.pos++;
+    }
+
+    return resolvePlain(reader.text.slice(start, reader.pos).trim(), reader.lineNumber, inFlow);
+}
+
+// <!-- ANCHOR: readFlowSequence -->
+/**
+ * Read [a, b, c] flow list
+ * @param {Object} reader - Reader positioned at "["
+ * @returns {Array} Parsed list
+ */
+function readFlowSequence(reader) {
+    const result = [];
+    reader.pos++; // skip [
+
+    for (;;) {
+        skipSpaces(reader);
+
+        if (reader.pos >= reader.text.length) {
+            throw new YamlError('Unterminated flow list, expected "]"', reader.lineNumber);
+        }
+
+        if (reader.text[reader.pos] === ']') {
+            reader.pos++;
+            return result;
+        }
+
+        result.push(readFlowValue(reader, true));
+        skipSpaces(reader);
+
+        if (reader.pos >= reader.text.length) {
+            throw new YamlError('Unterminated flow list, expected "]"', reader.lineNumber);
+        }
+
+        if (reader.text[reader.pos] === ',') {
+            reader.pos++;
+        } else if (reader.text[reader.pos] !== ']') {
+            throw new YamlError('Expected "," or "]" in flow list', reader.lineNumber);
+        }
+    }
+}
+
+// <!-- ANCHOR: readFlowMapping -->
+/**
+ * Read {a: 1, b: 2} flow mapping
+ * @param {Object} reader - Reader positioned at "{"
+ * @returns {Object} Parsed mapping
+ */
+function readFlowMapping(reader) {
+    const result = {};
+    reader.pos++; // skip {
+
+    for (;;) {
+        skipSpaces(reader);
+
+        if (reader.pos >= reader.text.length) {
+            throw new YamlError('Unterminated flow mapping, expected "}"', reader.lineNumber);
+        }
+
+        if (reader.text[reader.pos] === '}') {
+            reader.pos++;
+            return result;
+        }
+
+        const key = checkKey(String(readFlowValue(reader, true)), reader.lineNumber);
+        skipSpaces(reader);
+
+        if (reader.text[reader.pos] !== ':') {
+            throw new YamlError(`Expected ":" after key "${key}"`, reader.lineNumber);
+        }
+
+        reader.pos++;
+        result[key] = readFlowValue(reader, true);
+        skipSpaces(reader);
+
+        if (reader.pos >= reader.text.length) {
+            throw new YamlError('Unterminated flow mapping, expected "}"', reader.lineNumber);
+        }
+
+        if (reader.text[reader.pos] === ',') {
+            reader.pos++;
+        } else if (reader.text[reader.pos] !== '}') {
+            throw new YamlError('Expected "," or "}" in flow mapping', reader.lineNumber);
+        }
+    }
+}
+
+// <!-- ANCHOR: readQuoted -->
+/**
+ * Read single- or double-quoted string
+ * @param {string} text - Source text
+ * @param {number} start - Index of opening quote
+ * @param {number} lineNumber - Line number for errors
+ * @returns {Object} { value, end } where end is index after closing quote
+ */
+function readQuoted(text, start, lineNumber) {
+    const quote = text[start];
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0' };
+    let value = '';
+
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote === "'" && char === "'") {
+            // '' is an escaped single quote
+            if (text[i + 1] === "'") {
+                value += "'";
+                i++;
+                continue;
+            }
+            return { value, end: i + 1 };
+        }
+
+        if (quote === '"' && char === '"') {
+            return { value, end: i + 1 };
+        }
+
+        if (quote === '"' && char === '\\') {
+            const next = text[i + 1];
+
+            if (next === 'u') {
+                const hex = text.slice(i + 2, i + 6);
+
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                    throw new YamlError('Invalid \\u escape', lineNumber);
+                }
+
+                value += String.fromCharCode(parseInt(hex, 16));
+                i += 5;
+                continue;
+            }
+
+            if (!(next in escapes)) {
+                throw new YamlError(`Unknown escape "\\${next || ''}"`, lineNumber);
+            }
+
+            value += escapes[next];
+            i++;
+            continue;
+        }
+
+        value += char;
+    }
+
+    throw new YamlError('Unterminated quoted string', lineNumber);
+}
+
+// <!-- ANCHOR: resolvePlain -->
+/**
+ * Resolve plain scalar to boolean, null, number or string
+ * @param {string} text - Trimmed plain scalar
+ * @param {number} lineNumber - Line number for errors
+ * @param {boolean} inFlow - True inside flow collection
+ * @returns {*} Typed value
+ */
+function resolvePlain(text, lineNumber, inFlow) {
+    if (text === '') {
+        if (inFlow) {
+            throw new YamlError('Empty value in flow collection', lineNumber);
+        }
+        return null;
+    }
+
+    if (RESERVED_INDICATORS.includes(text[0])) {
+        throw new YamlError(`Unsupported YAML syntax "${text[0]}", quote the value`, lineNumber);
+    }
+
+    if (!inFlow && /:\s/.test(text)) {
+        throw new YamlError('Unexpected ": " in value, quote the value', lineNumber);
+    }
+
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true;
+    }
+
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false;
+    }
+
+    if (/^(null|Null|NULL|~)$/.test(text)) {
+        return null;
+    }
+
+    if (NUMBER_REGEX.test(text)) {
+        return Number(text);
+    }
+
+    return text;
+}
+
+// <!-- ANCHOR: skipSpaces -->
+/**
+ * Advance reader past whitespace
+ * @param {Object} reader - Reader state
+ */
+function skipSpaces(reader) {
+    while (reader.pos < reader.text.length && /\s/.test(reader.text[reader.pos])) {
+        reader.pos++;
+    }
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,223 @@
+// ==============================================
+// BUILD-IMAGES.MJS - Responsive image variants and placeholders
+// Purpose: Write smaller AVIF/WebP copies of project images for srcset, blur-up placeholders
+// Dependencies: Node 20+, sharp (npm install --no-save sharp), scripts/lib/projects.mjs
+// Version: 1.1.0
+// Usage: node scripts/build-images.mjs [--force]
+// ==============================================
+
+// ## ANCHOR POINTS
+// ENTRY: main
+// DEPS: scripts/lib/projects.mjs, assets/js/shared/media.js
+
+import { mkdir, readdir, rm, stat, writeFile } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+
+import { ROOT_DIR, RESPONSIVE_DIR, PLACEHOLDER_FILE, scanProjects, getResponsiveFileName } from './lib/projects.mjs';
+import { IMAGE_FORMATS, MEDIA_TYPES } from '../assets/js/shared/media.js';
+
+// Candidate widths - phone, tablet/half grid, laptop, desktop
+const WIDTHS = [480, 960, 1440, 1920];
+
+// Encoder settings per format - screenshots with text, keep edges sharp
+const ENCODER_OPTIONS = {
+    avif: { quality: 55, effort: 4 },
+    webp: { quality: 80, effort: 4 }
+};
+
+// Placeholder thumbnail width - ~100-300 bytes of base64, blurred by CSS
+const PLACEHOLDER_WIDTH = 16;
+
+// <!-- ANCHOR: main -->
+/**
+ * Generate responsive variants for every project image
+ * @returns {Promise<void>}
+ *
+ * LOGIC: Sources = numbered images + image entries of the media
+ * list that live in the project folder. Per source and format:
+ * every width in WIDTHS below the source width, plus the full
+ * width when the format differs from the original (the original
+ * itself is the widest candidate of its own format). Variants
+ * newer than their source are kept (--force rebuilds), variants of
+ * removed images are deleted. Every source also gets a placeholder
+ * (dominant color + tiny WebP data URI) in responsive/placeholders.json.
+ * Output: <folder>/responsive/. Run build-manifest afterwards - it
+ * lists the variants and placeholders.
+ *
+ * WHY: A phone shouldn't download the same 1920px screenshots as
+ * a 4K desktop; AVIF is about half the size of WebP. Placeholders
+ * are inlined in the manifest, so the image box has color before
+ * any image request.
+ */
+async function main() {
+    let sharp;
+
+    try {
+        ({ default: sharp } = await import('sharp'));
+    } catch (error) {
+        console.error('sharp is not installed. Run: npm install --no-save sharp');
+        process.exitCode = 1;
+        return;
+    }
+
+    const force = process.argv.includes('--force');
+    const projects = await scanProjects();
+    let written = 0;
+    let kept = 0;
+    let removed = 0;
+
+    for (const project of projects) {
+        const outputDir = join(project.dir, RESPONSIVE_DIR);
+        const placeholderPath = join(outputDir, PLACEHOLDER_FILE);
+        const placeholderTime = force ? 0 : await getModifiedTime(placeholderPath);
+        const placeholders = {};
+        const expected = new Set();
+
+        for (const source of getSourceImages(project)) {
+            const input = join(project.dir, source.file);
+            const inputTime = await getModifiedTime(input);
+            const original = source.file.split('.').pop().toLowerCase();
+
+            // Reuse placeholder unless the image changed after it was written
+            placeholders[source.file] = project.placeholders[source.file] && placeholderTime >= inputTime
+                ? project.placeholders[source.file]
+                : await createPlaceholder(sharp, input);
+
+            for (const format of IMAGE_FORMATS) {
+                const widths = WIDTHS.filter(width => width < source.width);
+
+                if (format !== original) {
+                    widths.push(source.width);
+                }
+
+                for (const width of widths) {
+                    const fileName = getResponsiveFileName(source.file, width, format);
+                    const output = join(outputDir, fileName);
+                    expected.add(fileName);
+
+                    if (!force && await getModifiedTime(output) >= inputTime) {
+                        kept++;
+                        continue;
+                    }
+
+                    await mkdir(outputDir, { recursive: true });
+                    await sharp(input)
+                        .resize({ width, withoutEnlargement: true })
+                        .toFormat(format, ENCODER_OPTIONS[format])
+                        .toFile(output);
+                    written++;
+                }
+            }
+        }
+
+        if (Object.keys(placeholders).length > 0) {
+            await mkdir(outputDir, { recursive: true });
+            await writeFile(placeholderPath, `${JSON.stringify(placeholders, null, 2)}\n`);
+            expected.add(PLACEHOLDER_FILE);
+        }
+
+        removed += await removeStale(outputDir, expected);
+    }
+
+    console.log(`Responsive images: ${written} written, ${kept} up to date, ${removed} removed`);
+    console.log('Next: node scripts/build-manifest.mjs');
+}
+
+// <!-- ANCHOR: getSourceImages -->
+/**
+ * Images of a project that get variants
+ * @param {Object} project - Entry from scanProjects()
+ * @returns {Object[]} [{ file, width }] - file relative to project folder
+ *
+ * LOGIC: Numbered images plus media list images in the same folder
+ * (e.g. screens/home.png). Unreadable images (no width) are
+ * skipped - lint reports them.
+ */
+function getSourceImages(project) {
+    const folderUrl = `/assets/projects/${project.folder}/`;
+    const sources = new Map();
+
+    project.images.forEach(image => sources.set(image.file, image.width));
+
+    project.media
+        .filter(item => item.type === MEDIA_TYPES.image && item.src.startsWith(folderUrl))
+        .map(item => ({ file: decodeURI(item.src.split('?')[0]).slice(folderUrl.length), width: item.width }))
+        .filter(({ file }) => !file.startsWith(`${RESPONSIVE_DIR}/`))
+        .forEach(({ file, width }) => sources.set(file, width));
+
+    return [...sources]
+        .filter(([, width]) => width)
+        .map(([file, width]) => ({ file, width }));
+}
+
+// <!-- ANCHOR: createPlaceholder -->
+/**
+ * Compute blur-up placeholder of an image
+ * @param {Function} sharp - sharp module
+ * @param {string} input - Image path
+ * @returns {Promise<Object>} { color: '#rrggbb', src: 'data:image/webp;base64,...' }
+ *
+ * LOGIC: color = sharp's dominant color (shown instantly), src =
+ * PLACEHOLDER_WIDTH px wide WebP (blurred and scaled up by CSS).
+ */
+async function createPlaceholder(sharp, input) {
+    const image = sharp(input);
+    const [{ dominant }, thumbnail] = await Promise.all([
+        image.clone().stats(),
+        image.clone().resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 50 }).toBuffer()
+    ]);
+
+    const hex = [dominant.r, dominant.g, dominant.b]
+        .map(channel => channel.toString(16).padStart(2, '0'))
+        .join('');
+
+    return {
+        color: `#${hex}`,
+        src: `data:image/webp;base64,${thumbnail.toString('base64')}`
+    };
+}
+
+// <!-- ANCHOR: getModifiedTime -->
+/**
+ * Modification time of a file
+ * @param {string} path - File path
+ * @returns {Promise<number>} mtime in ms, 0 if the file doesn't exist
+ */
+async function getModifiedTime(path) {
+    try {
+        return (await stat(path)).mtimeMs;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// <!-- ANCHOR: removeStale -->
+/**
+ * Delete variants no source produces anymore
+ * @param {string} outputDir - <folder>/responsive
+ * @param {Set} expected - File names written or kept in this run
+ * @returns {Promise<number>} Number of deleted files
+ */
+async function removeStale(outputDir, expected) {
+    let files;
+
+    try {
+        files = await readdir(outputDir);
+    } catch (error) {
+        return 0; // No variants yet
+    }
+
+    const stale = files.filter(file => !expected.has(file));
+
+    await Promise.all(stale.map(file => rm(join(outputDir, file))));
+    stale.forEach(file => console.log(`Removed ${relative(ROOT_DIR, join(outputDir, file))}`));
+
+    return stale.length;
+}
+
+main().catch(error => {
+    console.error('Failed to build images:', error);
+    process.exitCode = 1;
+});
+
+// UPDATED COMMENTS
@@ -0,0 +1,77 @@
+// ==============================================
+// BUILD-MANIFEST.MJS - Content manifest generator
+// Purpose: Scan assets/projects and write data/manifest.json
+// Dependencies: Node 20+, scripts/lib/projects.mjs
+// Version: 1.2.0
+// Usage: node scripts/build-manifest.mjs
+// ==============================================
+
+// ## ANCHOR POINTS
+// ENTRY: main
+// DEPS: scripts/lib/projects.mjs
+
+import { writeFile } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+
+import { ROOT_DIR, scanProjects } from './lib/projects.mjs';
+
+const MANIFEST_PATH = join(ROOT_DIR, 'data/manifest.json');
+
+// <!-- ANCHOR: main -->
+/**
+ * Build manifest and write it to disk
+ * @returns {Promise<void>}
+ *
+ * LOGIC: Every folder with project.md becomes a manifest entry with
+ * its frontmatter, available locale variants, ordered image list
+ * (with pixel sizes) and the resolved gallery list (frontmatter
+ * `media:` or media.json; empty = gallery shows the images).
+ * Fails with file:line if any frontmatter is malformed, so a broken
+ * project never silently disappears from the site.
+ *
+ * WHY: Browser can't list folders. The manifest replaces the
+ * hardcoded folder list and HEAD-request image probing.
+ */
+async function main() {
+    const projects = await scanProjects();
+    const broken = projects
+        .flatMap(project => [project, ...project.variants])
+        .filter(markdown => markdown.error);
+    const brokenMedia = projects.filter(project => project.mediaError);
+
+    if (broken.length > 0 || brokenMedia.length > 0) {
+        broken.forEach(markdown => {
+            const file = relative(ROOT_DIR, markdown.markdownPath);
+            console.error(`${file}:${markdown.error.line || 1} ${markdown.error.reason || markdown.error.message}`);
+        });
+        brokenMedia.forEach(project => {
+            console.error(`${relative(ROOT_DIR, project.mediaPath)}:1 ${project.mediaError.message}`);
+        });
+        process.exitCode = 1;
+        return;
+    }
+
+    const manifest = {
+        projects: projects.map(project => ({
+            folder: project.folder,
+            metadata: project.metadata,
+            locales: project.variants.map(variant => variant.locale),
+            images: project.images.map(({ src, width, height, sources, placeholder }) => ({ src, width, height, sources, placeholder })),
+            media: project.media
+        })),
+        metadata: {
+            generatedAt: new Date().toISOString()
+        }
+    };
+
+    await writeFile(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    console.log(`Wrote ${relative(ROOT_DIR, MANIFEST_PATH)}: ${manifest.projects.length} projects`);
+}
+
+main().catch(error => {
+    console.error('Failed to build manifest:', error);
+    process.exitCode = 1;
+});
+
+// UPDATED COMMENTS
@@ -0,0 +1,258 @@
+// ==============================================
+// IMAGE-SIZE.MJS - Read image pixel dimensions
+// Purpose: Get width/height from image file headers (build scripts)
+// Dependencies: Node fs
+// Version: 1.1.0
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: getImageSize
+// DEPS: node:fs/promises
+
+import { open } from 'node:fs/promises';
+
+// Enough bytes for WebP/PNG/GIF/AVIF headers; JPEG is scanned further if needed
+const HEADER_BYTES = 64 * 1024;
+
+// <!-- ANCHOR: getImageSize -->
+/**
+ * Read pixel dimensions of an image file
+ * @param {string} filePath - Absolute path to image
+ * @returns {Promise<Object|null>} { width, height } or null if format unknown
+ *
+ * LOGIC: Reads the file header and decodes the size fields of
+ * WebP (VP8, VP8L, VP8X), AVIF (ispe property), PNG, GIF and
+ * JPEG (SOFn marker).
+ *
+ * WHY: Zero-dependency - build scripts run with plain Node.
+ */
+export async function getImageSize(filePath) {
+    const file = await open(filePath, 'r');
+
+    try {
+        const { size } = await file.stat();
+        const buffer = Buffer.alloc(Math.min(size, HEADER_BYTES));
+        await file.read(buffer, 0, buffer.length, 0);
+
+        if (buffer.length < 32) {
+            return null;
+        }
+
+        return readWebp(buffer) || readAvif(buffer) || readPng(buffer) || readGif(buffer) || readJpeg(buffer);
+    } finally {
+        await file.close();
+    }
+}
+
+// <!-- ANCHOR: readWebp -->
+/**
+ * Decode WebP dimensions
+ * @param {Buffer} buffer - File header
+ * @returns {Object|null} Size or null if not WebP
+ */
+function readWebp(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+        return null;
+    }
+
+    const chunk = buffer.toString('ascii', 12, 16);
+
+    // Extended format: 24-bit canvas size minus one
+    if (chunk === 'VP8X') {
+        return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1
+        };
+    }
+
+    // Lossy: 14-bit sizes after frame start code
+    if (chunk === 'VP8 ') {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff
+        };
+    }
+
+    // Lossless: 14-bit sizes minus one packed after signature byte
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return {
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >> 14) & 0x3fff) + 1
+        };
+    }
+
+    return null;
+}
+
+// <!-- ANCHOR: readAvif -->
+/**
+ * Decode AVIF dimensions from ispe (image spatial extents) property
+ * @param {Buffer} buffer - File header
+ * @returns {Object|null} Size or null if not AVIF or property not in header
+ *
+ * LOGIC: ISOBMFF boxes: ftyp (avif/avis brand), then
+ * meta > iprp > ipco > ispe. An alpha plane or thumbnail has its
+ * own ispe - the largest one is the image itself.
+ */
+function readAvif(buffer) {
+    if (buffer.toString('ascii', 4, 8) !== 'ftyp') {
+        return null;
+    }
+
+    const ftypSize = buffer.readUInt32BE(0);
+    const brands = [];
+
+    // Major brand, minor version, compatible brands
+    for (let offset = 8; offset + 4 <= Math.min(ftypSize, buffer.length); offset += 4) {
+        brands.push(buffer.toString('ascii', offset, offset + 4));
+    }
+
+    if (!brands.includes('avif') && !brands.includes('avis')) {
+        return null;
+    }
+
+    const meta = findBox(buffer, 'meta', ftypSize, buffer.length);
+
+    // meta is a full box - 4 bytes version/flags before children
+    const iprp = meta && findBox(buffer, 'iprp', meta.start + 4, meta.end);
+    const ipco = iprp && findBox(buffer, 'ipco', iprp.start, iprp.end);
+
+    if (!ipco) {
+        return null;
+    }
+
+    let size = null;
+    let offset = ipco.start;
+    let ispe;
+
+    while ((ispe = findBox(buffer, 'ispe', offset, ipco.end))) {
+        // Full box: version/flags, then 32-bit width and height
+        if (ispe.end - ispe.start < 12) {
+            break;
+        }
+
+        const width = buffer.readUInt32BE(ispe.start + 4);
+        const height = buffer.readUInt32BE(ispe.start + 8);
+
+        if (!size || width * height > size.width * size.height) {
+            size = { width, height };
+        }
+
+        offset = ispe.end;
+    }
+
+    return size;
+}
+
+// <!-- ANCHOR: findBox -->
+/**
+ * Find ISOBMFF box among siblings
+ * @param {Buffer} buffer - File header
+ * @param {string} type - Four-character box type
+ * @param {number} from - Offset of the first sibling
+ * @param {number} to - End of the parent box
+ * @returns {Object|null} { start, end } of the box content or null
+ */
+function findBox(buffer, type, from, to) {
+    let offset = from;
+
+    while (offset + 8 <= to) {
+        let size = buffer.readUInt32BE(offset);
+        let header = 8;
+
+        // 1 = 64-bit size follows, 0 = box runs to end of parent
+        if (size === 1) {
+            if (offset + 16 > to) {
+                return null;
+            }
+
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = to - offset;
+        }
+
+        if (size < header) {
+            return null;
+        }
+
+        if (buffer.toString('ascii', offset + 4, offset + 8) === type) {
+            return { start: offset + header, end: Math.min(offset + size, to) };
+        }
+
+        offset += size;
+    }
+
+    return null;
+}
+
+// <!-- ANCHOR: readPng -->
+/**
+ * Decode PNG dimensions from IHDR chunk
+ * @param {Buffer} buffer - File header
+ * @returns {Object|null} Size or null if not PNG
+ */
+function readPng(buffer) {
+    if (buffer.readUInt32BE(0) !== 0x89504e47) {
+        return null;
+    }
+
+    return {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20)
+    };
+}
+
+// <!-- ANCHOR: readGif -->
+/**
+ * Decode GIF dimensions from logical screen descriptor
+ * @param {Buffer} buffer - File header
+ * @returns {Object|null} Size or null if not GIF
+ */
+function readGif(buffer) {
+    if (buffer.toString('ascii', 0, 3) !== 'GIF') {
+        return null;
+    }
+
+    return {
+        width: buffer.readUInt16LE(6),
+        height: buffer.readUInt16LE(8)
+    };
+}
+
+// <!-- ANCHOR: readJpeg -->
+/**
+ * Decode JPEG dimensions from first SOFn marker
+ * @param {Buffer} buffer - File header
+ * @returns {Object|null} Size or null if not JPEG or marker not in header
+ */
+function readJpeg(buffer) {
+    if (buffer.readUInt16BE(0) !== 0xffd8) {
+        return null;
+    }
+
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            return null;
+        }
+
+        const marker = buffer[offset + 1];
+
+        // SOF0-SOF15 except DHT (C4), JPG (C8), DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5)
+            };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+
+    return null;
+}
+
+// UPDATED COMMENTS
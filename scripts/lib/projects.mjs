@@ -0,0 +1,313 @@
+// ==============================================
+// PROJECTS.MJS - Project folder scanner (build scripts)
+// Purpose: Read assets/projects/* folders from disk
+// Dependencies: Node fs, shared/markdown.js, shared/media.js, lib/image-size.mjs
+// Version: 1.3.0
+// REUSABLE LOGIC: Used by manifest, lint and other build commands
+// ==============================================
+
+// ## ANCHOR POINTS
+// EXPORTS: ROOT_DIR, PROJECTS_DIR, MEDIA_FILE, RESPONSIVE_DIR, PLACEHOLDER_FILE, scanProjects,
+//          isProjectImage, getResponsiveFileName
+// DEPS: assets/js/shared/markdown.js, assets/js/shared/media.js, scripts/lib/image-size.mjs
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join, dirname, resolve, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { parseFrontmatter } from '../../assets/js/shared/markdown.js';
+import { normalizeMedia, normalizePlaceholder, MEDIA_TYPES } from '../../assets/js/shared/media.js';
+import { getImageSize } from './image-size.mjs';
+
+export const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+export const PROJECTS_DIR = join(ROOT_DIR, 'assets/projects');
+
+// Sidecar gallery list - alternative to `media:` in frontmatter
+export const MEDIA_FILE = 'media.json';
+
+// Generated by scripts/build-images.mjs: responsive/<name>-<width>w.<format>
+export const RESPONSIVE_DIR = 'responsive';
+// Generated next to the variants: { "<image path>": { color, src } }
+export const PLACEHOLDER_FILE = 'placeholders.json';
+const RESPONSIVE_REGEX = /^(.+)-(\d+)w\.(avif|webp)$/;
+
+// Gallery images follow the N.ext naming convention (1.webp, 2.webp, ...)
+const IMAGE_REGEX = /^(\d+)\.(webp|avif|png|jpe?g|gif)$/i;
+
+// Locale variants of project.md: project.en.md, ...
+const VARIANT_REGEX = /^project\.([a-z]{2})\.md$/;
+
+// <!-- ANCHOR: isProjectImage -->
+/**
+ * Check if file name is a numbered gallery image
+ * @param {string} fileName - File name inside project folder
+ * @returns {boolean} True for "1.webp", "12.jpg", etc.
+ */
+export function isProjectImage(fileName) {
+    return IMAGE_REGEX.test(fileName);
+}
+
+// <!-- ANCHOR: getResponsiveFileName -->
+/**
+ * Name of a responsive variant file
+ * @param {string} file - Image path relative to project folder ("1.webp", "screens/home.png")
+ * @param {number} width - Variant width in px
+ * @param {string} format - 'avif' or 'webp'
+ * @returns {string} "1-960w.avif", "screens__home-960w.webp" (flat, inside RESPONSIVE_DIR)
+ */
+export function getResponsiveFileName(file, width, format) {
+    return `${toResponsiveBase(file)}-${width}w.${format}`;
+}
+
+// <!-- ANCHOR: scanProjects -->
+/**
+ * Scan all project folders
+ * @returns {Promise<Object[]>} Project entries sorted by folder name
+ *
+ * LOGIC: For every folder in assets/projects that has project.md,
+ * reads the markdown (and project.{locale}.md variants), parses
+ * frontmatter and lists numbered images in numeric order with
+ * pixel dimensions, responsive variants and blur placeholder
+ * (image.sources / image.placeholder, empty until
+ * scripts/build-images.mjs has run). The gallery list comes
+ * from frontmatter `media:` or media.json (frontmatter wins) and is resolved to
+ * absolute URLs with image sizes (entry.media); entry.mediaEntries
+ * keeps the raw list for lint.
+ * Parse errors are returned per project (entry.error) so callers
+ * decide whether to fail or report.
+ */
+export async function scanProjects() {
+    const entries = await readdir(PROJECTS_DIR, { withFileTypes: true });
+    const folders = entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+
+    const projects = [];
+
+    for (const folder of folders) {
+        const dir = join(PROJECTS_DIR, folder);
+        const files = await readdir(dir);
+
+        if (!files.includes('project.md')) {
+            continue;
+        }
+
+        const project = {
+            folder,
+            dir,
+            files,
+            ...await readMarkdown(join(dir, 'project.md'))
+        };
+
+        project.variants = await Promise.all(files
+            .filter(file => VARIANT_REGEX.test(file))
+            .sort()
+            .map(async file => ({
+                locale: file.match(VARIANT_REGEX)[1],
+                ...await readMarkdown(join(dir, file))
+            })));
+
+        project.responsive = await listResponsive(folder, dir, files);
+        project.placeholders = await readPlaceholders(dir, files);
+        project.images = await listImages(folder, dir, files, project);
+        Object.assign(project, await readMedia(project));
+        projects.push(project);
+    }
+
+    return projects;
+}
+
+// <!-- ANCHOR: readMarkdown -->
+/**
+ * Read and parse one markdown file
+ * @param {string} markdownPath - Absolute path
+ * @returns {Promise<Object>} { markdownPath, content, metadata, body, error }
+ */
+async function readMarkdown(markdownPath) {
+    const content = await readFile(markdownPath, 'utf8');
+    const result = { markdownPath, content, metadata: {}, body: '', error: null };
+
+    try {
+        const { metadata, body } = parseFrontmatter(content);
+        result.metadata = metadata;
+        result.body = body;
+    } catch (error) {
+        result.error = error;
+    }
+
+    return result;
+}
+
+// <!-- ANCHOR: listImages -->
+/**
+ * List numbered images of a project in numeric order
+ * @param {string} folder - Project folder name
+ * @param {string} dir - Absolute folder path
+ * @param {string[]} files - File names in folder
+ * @param {Object} generated - { responsive, placeholders } from listResponsive() / readPlaceholders()
+ * @returns {Promise<Object[]>} [{ file, src, index, width, height, sources, placeholder }]
+ */
+async function listImages(folder, dir, files, generated) {
+    const images = files
+        .map(file => ({ file, match: file.match(IMAGE_REGEX) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ file, index: Number(match[1]) }))
+        .sort((a, b) => a.index - b.index);
+
+    return Promise.all(images.map(async ({ file, index }) => {
+        const size = await getImageSize(join(dir, file));
+
+        return {
+            file,
+            src: `/assets/projects/${folder}/${file}`,
+            index,
+            width: size ? size.width : null,
+            height: size ? size.height : null,
+            sources: generated.responsive.get(toResponsiveBase(file)) || [],
+            placeholder: normalizePlaceholder(generated.placeholders[file])
+        };
+    }));
+}
+
+// <!-- ANCHOR: listResponsive -->
+/**
+ * List generated responsive variants of a project
+ * @param {string} folder - Project folder name
+ * @param {string} dir - Absolute folder path
+ * @param {string[]} files - File names in folder
+ * @returns {Promise<Map>} Variant base name -> [{ src, width, format }] sorted by width
+ */
+async function listResponsive(folder, dir, files) {
+    const variants = new Map();
+
+    if (!files.includes(RESPONSIVE_DIR)) {
+        return variants;
+    }
+
+    (await readdir(join(dir, RESPONSIVE_DIR)))
+        .map(file => ({ file, match: file.match(RESPONSIVE_REGEX) }))
+        .filter(({ match }) => match)
+        .forEach(({ file, match }) => {
+            const list = variants.get(match[1]) || [];
+            list.push({ src: `/assets/projects/${folder}/${RESPONSIVE_DIR}/${file}`, width: Number(match[2]), format: match[3] });
+            variants.set(match[1], list);
+        });
+
+    variants.forEach(list => list.sort((a, b) => a.width - b.width || a.format.localeCompare(b.format)));
+
+    return variants;
+}
+
+// <!-- ANCHOR: readPlaceholders -->
+/**
+ * Read generated blur placeholders of a project
+ * @param {string} dir - Absolute folder path
+ * @param {string[]} files - File names in folder
+ * @returns {Promise<Object>} Image path -> { color, src }, {} if not generated
+ *
+ * LOGIC: A broken file only costs the placeholders - warn and go on,
+ * build-images rewrites it.
+ */
+async function readPlaceholders(dir, files) {
+    if (!files.includes(RESPONSIVE_DIR)) {
+        return {};
+    }
+
+    try {
+        const data = JSON.parse(await readFile(join(dir, RESPONSIVE_DIR, PLACEHOLDER_FILE), 'utf8'));
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Ignoring ${join(dir, RESPONSIVE_DIR, PLACEHOLDER_FILE)}: ${error.message}`);
+        }
+
+        return {};
+    }
+}
+
+// <!-- ANCHOR: toResponsiveBase -->
+/**
+ * Variant base name of an image
+ * @param {string} file - Image path relative to project folder
+ * @returns {string} Path without extension, "/" replaced by "__"
+ */
+function toResponsiveBase(file) {
+    return file.slice(0, file.length - extname(file).length).replace(/\//g, '__');
+}
+
+// <!-- ANCHOR: readMedia -->
+/**
+ * Read and resolve the declared gallery list of a project
+ * @param {Object} project - Scanned project (folder, dir, files, metadata, images)
+ * @returns {Promise<Object>} { mediaPath, mediaContent, mediaEntries, mediaError, media }
+ *
+ * LOGIC: mediaPath = file the list was declared in (project.md or
+ * media.json, null if none). media.json may be an array or
+ * { media: [...] }. Image entries inside public folders get pixel
+ * sizes read from disk, numbered images reuse the scanned sizes.
+ * Images in the project folder get their responsive variants and
+ * placeholder.
+ */
+async function readMedia(project) {
+    const result = { mediaPath: null, mediaContent: '', mediaEntries: null, mediaError: null, media: [] };
+
+    if (Array.isArray(project.metadata.media)) {
+        result.mediaPath = project.markdownPath;
+        result.mediaContent = project.content;
+        result.mediaEntries = project.metadata.media;
+    } else if (project.files.includes(MEDIA_FILE)) {
+        result.mediaPath = join(project.dir, MEDIA_FILE);
+
+        try {
+            result.mediaContent = await readFile(result.mediaPath, 'utf8');
+            const data = JSON.parse(result.mediaContent);
+            result.mediaEntries = Array.isArray(data) ? data : data?.media;
+
+            if (!Array.isArray(result.mediaEntries)) {
+                throw new Error('expected an array or { "media": [...] }');
+            }
+        } catch (error) {
+            result.mediaEntries = null;
+            result.mediaError = error;
+            return result;
+        }
+    }
+
+    if (!result.mediaEntries) {
+        return result;
+    }
+
+    const media = normalizeMedia(result.mediaEntries, {
+        baseUrl: `/assets/projects/${project.folder}/`,
+        known: project.images
+    });
+
+    const folderUrl = `/assets/projects/${project.folder}/`;
+
+    result.media = await Promise.all(media.map(async item => {
+        if (item.type !== MEDIA_TYPES.image || !item.src.startsWith('/assets/')) {
+            return item;
+        }
+
+        const path = decodeURI(item.src.split('?')[0]);
+        const file = path.startsWith(folderUrl) ? path.slice(folderUrl.length) : null;
+        const generated = {
+            sources: item.sources.length === 0 && file ? project.responsive.get(toResponsiveBase(file)) || [] : item.sources,
+            placeholder: item.placeholder || (file && normalizePlaceholder(project.placeholders[file])) || null
+        };
+
+        if (item.width) {
+            return { ...item, ...generated };
+        }
+
+        // Missing or unreadable file - lint reports it, page still renders
+        const size = await getImageSize(join(ROOT_DIR, path)).catch(() => null);
+
+        return size ? { ...item, width: size.width, height: size.height, ...generated } : { ...item, ...generated };
+    }));
+
+    return result;
+}
+
+// UPDATED COMMENTS
@@ -0,0 +1,659 @@
+// ==============================================
+// LINT-CONTENT.MJS - Content lint command
+// Purpose: Validate project.md files, images, media lists, manifest and links.json
+// Dependencies: Node 20+, scripts/lib/projects.mjs
+// Version: 1.1.0
+// Usage: node scripts/lint-content.mjs
+// ==============================================
+
+// ## ANCHOR POINTS
+// ENTRY: main
+// DEPS: scripts/lib/projects.mjs, data/links.json, data/projects.json, data/manifest.json
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join, relative } from 'node:path';
+
+import { ROOT_DIR, MEDIA_FILE, scanProjects } from './lib/projects.mjs';
+import { SUPPORTED_LOCALES } from '../assets/js/shared/markdown.js';
+import { SHORTCODE_NAMES } from '../assets/js/shared/shortcodes.js';
+import { normalizeMedia, getMediaProblem, MEDIA_TYPES } from '../assets/js/shared/media.js';
+
+const LINKS_PATH = join(ROOT_DIR, 'data/links.json');
+const PROJECTS_JSON_PATH = join(ROOT_DIR, 'data/projects.json');
+const MANIFEST_PATH = join(ROOT_DIR, 'data/manifest.json');
+
+const MIN_YEAR = 1990;
+
+// publishAt: date, or date-time with optional seconds and offset
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Frontmatter schema - unknown keys are allowed (credits, metrics, ...)
+const FRONTMATTER_SCHEMA = {
+    id: { type: 'slug', required: true },
+    title: { type: 'string', required: true },
+    year: { type: 'year', required: true },
+    tags: { type: 'string[]', required: true },
+    link: { type: 'url', required: false },
+    featured: { type: 'boolean', required: false },
+    order: { type: 'integer', required: false },
+    related: { type: 'string[]', required: false },
+    draft: { type: 'boolean', required: false },
+    publishAt: { type: 'date', required: false },
+    unlisted: { type: 'boolean', required: false },
+    summary: { type: 'string', required: false },
+    media: { type: 'list', required: false }
+};
+
+// <!-- ANCHOR: main -->
+/**
+ * Run all content checks and report problems
+ * @returns {Promise<void>}
+ *
+ * LOGIC: Collects problems as { file, line, message }, prints them
+ * as "file:line message" ("file message" when line is null) and exits with code 1 if any were found.
+ *
+ * WHY: Content mistakes (typo in a field, missing image, "#" URL)
+ * otherwise fail silently in the browser.
+ */
+async function main() {
+    const problems = [];
+    const report = (file, line, message) => {
+        problems.push({ file: relative(ROOT_DIR, file), line, message });
+    };
+
+    const projects = await scanProjects();
+
+    projects.forEach(project => lintProject(project, report));
+    lintUniqueIds(projects, report);
+    lintRelated(projects, report);
+    await lintManifest(projects, report);
+    await lintProjectsJson(projects, report);
+    await lintLinks(report);
+
+    problems.forEach(({ file, line, message }) => {
+        console.error(`${file}${line ? `:${line}` : ''} ${message}`);
+    });
+
+    if (problems.length > 0) {
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Content OK: ${projects.length} projects, links.json`);
+}
+
+// <!-- ANCHOR: lintProject -->
+/**
+ * Check one project folder: frontmatter schema and image sequence
+ * @param {Object} project - Entry from scanProjects()
+ * @param {Function} report - Problem reporter
+ */
+function lintProject(project, report) {
+    const file = project.markdownPath;
+
+    if (project.error) {
+        report(file, project.error.line || 1, project.error.reason || project.error.message);
+    } else {
+        Object.entries(FRONTMATTER_SCHEMA).forEach(([key, rule]) => {
+            const value = project.metadata[key];
+            const line = findKeyLine(project.content, key);
+
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) {
+                    report(file, findFrontmatterEnd(project.content), `Missing required field "${key}"`);
+                }
+                return;
+            }
+
+            const error = checkType(value, rule.type);
+
+            if (error) {
+                report(file, line, `Field "${key}" ${error}`);
+            }
+        });
+    }
+
+    [project, ...project.variants].forEach(markdown => lintShortcodes(markdown, report));
+    project.variants.forEach(variant => lintVariant(project, variant, report));
+    lintImageSequence(project, report);
+    lintMedia(project, report);
+}
+
+// <!-- ANCHOR: lintShortcodes -->
+/**
+ * Check ::: shortcode names in markdown body
+ * @param {Object} markdown - Project or variant entry (content, markdownPath)
+ * @param {Function} report - Problem reporter
+ *
+ * WHY: Unknown shortcodes render nothing in production.
+ */
+function lintShortcodes(markdown, report) {
+    let inFence = false;
+
+    markdown.content.split('\n').forEach((line, index) => {
+        if (/^ {0,3}(`{3,}|~{3,})/.test(line)) {
+            inFence = !inFence;
+        }
+
+        const match = !inFence && line.match(/^ {0,3}:::\s*([a-z][\w-]*)/i);
+
+        if (match && !SHORTCODE_NAMES.includes(match[1].toLowerCase())) {
+            report(markdown.markdownPath, index + 1, `Unknown shortcode "${match[1]}" (known: ${SHORTCODE_NAMES.join(', ')})`);
+        }
+    });
+}
+
+// <!-- ANCHOR: lintVariant -->
+/**
+ * Check locale variant (project.{locale}.md)
+ * @param {Object} project - Entry from scanProjects()
+ * @param {Object} variant - Variant entry
+ * @param {Function} report - Problem reporter
+ *
+ * LOGIC: All fields are optional (they fall back to project.md),
+ * but present fields must match the schema and id can't differ.
+ */
+function lintVariant(project, variant, report) {
+    const file = variant.markdownPath;
+
+    if (!SUPPORTED_LOCALES.includes(variant.locale)) {
+        report(file, 1, `Unsupported locale "${variant.locale}" (supported: ${SUPPORTED_LOCALES.join(', ')})`);
+    }
+
+    if (variant.error) {
+        report(file, variant.error.line || 1, variant.error.reason || variant.error.message);
+        return;
+    }
+
+    Object.entries(FRONTMATTER_SCHEMA).forEach(([key, rule]) => {
+        const value = variant.metadata[key];
+
+        if (value === undefined || value === null) {
+            return;
+        }
+
+        const error = checkType(value, rule.type);
+
+        if (error) {
+            report(file, findKeyLine(variant.content, key), `Field "${key}" ${error}`);
+        }
+    });
+
+    if (variant.metadata.id !== undefined && variant.metadata.id !== project.metadata.id) {
+        report(file, findKeyLine(variant.content, 'id'), `Id "${variant.metadata.id}" differs from project.md ("${project.metadata.id}")`);
+    }
+}
+
+// <!-- ANCHOR: checkType -->
+/**
+ * Validate value against schema type
+ * @param {*} value - Frontmatter value
+ * @param {string} type - Schema type name
+ * @returns {string|null} Error description or null if valid
+ */
+function checkType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' ? null : `must be a string, got ${describe(value)}`;
+        case 'slug':
+            if (typeof value !== 'string') {
+                return `must be a string, got ${describe(value)}`;
+            }
+            return /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value) ? null : `"${value}" must be lowercase-with-hyphens`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `must be true or false, got ${describe(value)}`;
+        case 'date':
+            // ISO only - other formats parse differently across browsers
+            if (typeof value !== 'string' || !ISO_DATE_REGEX.test(value) || Number.isNaN(Date.parse(value))) {
+                return `must be an ISO date (2026-11-01 or 2026-11-01T10:00:00+03:00), got ${describe(value)}`;
+            }
+            return null;
+        case 'integer':
+            return Number.isInteger(value) ? null : `must be an integer, got ${describe(value)}`;
+        case 'year': {
+            const maxYear = new Date().getFullYear() + 1;
+            if (!Number.isInteger(value)) {
+                return `must be a 4-digit year, got ${describe(value)}`;
+            }
+            return value >= MIN_YEAR && value <= maxYear ? null : `${value} is outside ${MIN_YEAR}-${maxYear}`;
+        }
+        case 'string[]':
+            if (!Array.isArray(value)) {
+                return `must be a list (tags: [a, b]), got ${describe(value)}`;
+            }
+            return value.every(item => typeof item === 'string' && item.trim())
+                ? null
+                : 'must contain only non-empty strings';
+        case 'list':
+            return Array.isArray(value) ? null : `must be a list (- src: 1.webp), got ${describe(value)}`;
+        case 'url':
+            return checkUrl(value);
+        default:
+            return null;
+    }
+}
+
+// <!-- ANCHOR: lintImageSequence -->
+/**
+ * Check numbered images form a gapless 1..N sequence
+ * @param {Object} project - Entry from scanProjects()
+ * @param {Function} report - Problem reporter
+ *
+ * WHY: Gallery order comes from numbers - a gap usually means a
+ * renamed or forgotten file.
+ */
+function lintImageSequence(project, report) {
+    const seen = new Map();
+
+    project.images.forEach(image => {
+        if (seen.has(image.index)) {
+            report(join(project.dir, image.file), 1, `Duplicate image number ${image.index} (also ${seen.get(image.index)})`);
+        } else {
+            seen.set(image.index, image.file);
+        }
+
+        if (!image.width || !image.height) {
+            report(join(project.dir, image.file), 1, 'Unreadable image (unknown format or corrupt header)');
+        }
+    });
+
+    const numbers = [...seen.keys()];
+    const max = numbers.length > 0 ? Math.max(...numbers) : 0;
+
+    for (let index = 1; index <= max; index++) {
+        if (!seen.has(index)) {
+            report(project.markdownPath, 1, `Image sequence gap: no image number ${index} in ${project.folder}/ (found up to ${max})`);
+        }
+    }
+}
+
+// <!-- ANCHOR: lintMedia -->
+/**
+ * Check declared gallery lists of a project
+ * @param {Object} project - Entry from scanProjects()
+ * @param {Function} report - Problem reporter
+ *
+ * LOGIC: media.json must parse; a media.json next to a frontmatter
+ * `media:` list is reported as ignored. Lists in project.md,
+ * media.json and translations are checked entry by entry.
+ */
+function lintMedia(project, report) {
+    if (project.mediaError) {
+        report(project.mediaPath, 1, `Invalid ${MEDIA_FILE}: ${project.mediaError.message}`);
+    }
+
+    if (project.mediaPath === project.markdownPath && project.files.includes(MEDIA_FILE)) {
+        report(join(project.dir, MEDIA_FILE), 1, 'Ignored - project.md declares its own media list');
+    }
+
+    const lists = [
+        { file: project.mediaPath, content: project.mediaContent, entries: project.mediaEntries },
+        ...project.variants.map(variant => ({
+            file: variant.markdownPath,
+            content: variant.content,
+            entries: variant.metadata.media
+        }))
+    ];
+
+    // Non-list frontmatter values are reported by the schema check
+    lists
+        .filter(({ entries }) => Array.isArray(entries))
+        .forEach(({ file, content, entries }) => lintMediaList(project, file, content, entries, report));
+}
+
+// <!-- ANCHOR: lintMediaList -->
+/**
+ * Check entries of one media list
+ * @param {Object} project - Entry from scanProjects()
+ * @param {string} file - File the list is declared in
+ * @param {string} content - That file's text (for line numbers)
+ * @param {Array} entries - Raw entries
+ * @param {Function} report - Problem reporter
+ *
+ * LOGIC: Schema problems come from getMediaProblem() - the same
+ * check the browser uses to skip entries. Local files (src,
+ * poster) must exist; every entry needs alt text.
+ */
+function lintMediaList(project, file, content, entries, report) {
+    const baseUrl = `/assets/projects/${project.folder}/`;
+    let offset = content.indexOf('media');
+
+    entries.forEach((entry, index) => {
+        const src = typeof entry === 'string' ? entry : entry?.src;
+        const found = typeof src === 'string' ? findLine(content, src, Math.max(offset, 0)) : { line: 1, index: offset };
+        const label = `Media ${index + 1}`;
+        const problem = getMediaProblem(entry, baseUrl);
+
+        offset = found.index;
+
+        if (problem) {
+            report(file, found.line, `${label}: ${problem}`);
+            return;
+        }
+
+        const [item] = normalizeMedia([entry], { baseUrl });
+
+        if (!item.alt) {
+            report(file, found.line, `${label}: missing "alt" (describe the ${item.type} for screen readers)`);
+        }
+
+        const localFiles = item.type === MEDIA_TYPES.embed ? [] : [item.src, item.poster];
+
+        localFiles
+            .filter(path => path && path.startsWith('/assets/'))
+            .filter(path => !existsSync(join(ROOT_DIR, decodeURI(path.split('?')[0]))))
+            .forEach(path => report(file, found.line, `${label}: file not found ${path}`));
+    });
+}
+
+// <!-- ANCHOR: lintUniqueIds -->
+/**
+ * Check project ids are unique across folders
+ * @param {Object[]} projects - Entries from scanProjects()
+ * @param {Function} report - Problem reporter
+ */
+function lintUniqueIds(projects, report) {
+    const owners = new Map();
+
+    projects.forEach(project => {
+        const id = project.metadata.id;
+
+        if (typeof id !== 'string') {
+            return;
+        }
+
+        if (owners.has(id)) {
+            report(project.markdownPath, findKeyLine(project.content, 'id'), `Duplicate id "${id}" (also in ${owners.get(id)})`);
+        } else {
+            owners.set(id, relative(ROOT_DIR, project.markdownPath));
+        }
+    });
+}
+
+// <!-- ANCHOR: lintRelated -->
+/**
+ * Check related: lists point to existing other projects
+ * @param {Object[]} projects - Entries from scanProjects()
+ * @param {Function} report - Problem reporter
+ */
+function lintRelated(projects, report) {
+    const ids = new Set(projects.map(project => project.metadata.id));
+
+    projects.forEach(project => {
+        const related = project.metadata.related;
+
+        if (!Array.isArray(related)) {
+            return;
+        }
+
+        const line = findKeyLine(project.content, 'related');
+
+        related.forEach(id => {
+            if (id === project.metadata.id) {
+                report(project.markdownPath, line, 'Project lists itself in related');
+            } else if (!ids.has(id)) {
+                report(project.markdownPath, line, `Related id "${id}" matches no project.md`);
+            }
+        });
+    });
+}
+
+// <!-- ANCHOR: lintManifest -->
+/**
+ * Check data/manifest.json matches project folders on disk
+ * @param {Object[]} projects - Entries from scanProjects()
+ * @param {Function} report - Problem reporter
+ */
+async function lintManifest(projects, report) {
+    const manifest = await readJson(MANIFEST_PATH, report);
+
+    if (!manifest) {
+        return;
+    }
+
+    const hint = 'run node scripts/build-manifest.mjs';
+    const listed = new Map((manifest.projects || []).map(entry => [entry.folder, entry]));
+
+    projects.forEach(project => {
+        const entry = listed.get(project.folder);
+
+        if (!entry) {
+            report(MANIFEST_PATH, 1, `Project folder "${project.folder}" is missing, ${hint}`);
+        } else if ((entry.images || []).length !== project.images.length) {
+            report(MANIFEST_PATH, 1, `Images of "${project.folder}" are out of date, ${hint}`);
+        } else if (JSON.stringify(entry.media || []) !== JSON.stringify(project.media)) {
+            report(MANIFEST_PATH, 1, `Media of "${project.folder}" is out of date, ${hint}`);
+        } else if ((entry.locales || []).join() !== project.variants.map(variant => variant.locale).join()) {
+            report(MANIFEST_PATH, 1, `Locales of "${project.folder}" are out of date, ${hint}`);
+        }
+
+        listed.delete(project.folder);
+    });
+
+    listed.forEach((entry, folder) => {
+        report(MANIFEST_PATH, 1, `Lists "${folder}" which has no project.md, ${hint}`);
+    });
+}
+
+// <!-- ANCHOR: lintProjectsJson -->
+/**
+ * Check ids in data/projects.json match a project.md
+ * @param {Object[]} projects - Entries from scanProjects()
+ * @param {Function} report - Problem reporter
+ */
+async function lintProjectsJson(projects, report) {
+    const data = await readJson(PROJECTS_JSON_PATH, report);
+
+    if (!data) {
+        return;
+    }
+
+    const ids = new Set(projects.map(project => project.metadata.id));
+    const text = await readFile(PROJECTS_JSON_PATH, 'utf8');
+    let cursor = 0;
+
+    (data.projects || []).forEach(project => {
+        const found = findLine(text, `"id": ${JSON.stringify(project.id)}`, cursor);
+        cursor = found.index;
+
+        if (!ids.has(project.id)) {
+            report(PROJECTS_JSON_PATH, found.line, `Id "${project.id}" matches no project.md`);
+        }
+    });
+}
+
+// <!-- ANCHOR: lintLinks -->
+/**
+ * Check every "url" in data/links.json is well-formed
+ * @param {Function} report - Problem reporter
+ */
+async function lintLinks(report) {
+    const data = await readJson(LINKS_PATH, report);
+
+    if (!data) {
+        return;
+    }
+
+    const text = await readFile(LINKS_PATH, 'utf8');
+    let cursor = 0;
+
+    collectUrls(data).forEach(({ path, url }) => {
+        const found = findLine(text, `"url": ${JSON.stringify(url)}`, cursor);
+        cursor = found.index;
+
+        const error = checkUrl(url);
+
+        if (error) {
+            report(LINKS_PATH, found.line, `${path}: ${error}`);
+        }
+    });
+}
+
+// <!-- ANCHOR: collectUrls -->
+/**
+ * Collect all "url" fields in document order
+ * @param {Object} value - Parsed JSON
+ * @param {string} path - Dot path of value
+ * @returns {Object[]} [{ path, url }]
+ */
+function collectUrls(value, path = '') {
+    if (!value || typeof value !== 'object') {
+        return [];
+    }
+
+    return Object.entries(value).flatMap(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+
+        if (key === 'url') {
+            return [{ path: childPath, url: child }];
+        }
+
+        return collectUrls(child, childPath);
+    });
+}
+
+// <!-- ANCHOR: checkUrl -->
+/**
+ * Validate absolute http(s), mailto: or tel: URL
+ * @param {*} url - Value to check
+ * @returns {string|null} Error description or null if valid
+ */
+function checkUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) {
+        return `URL must be a non-empty string, got ${describe(url)}`;
+    }
+
+    let parsed;
+
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return `"${url}" is not an absolute URL`;
+    }
+
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+        return parsed.hostname.includes('.') ? null : `"${url}" has no valid host`;
+    }
+
+    if (parsed.protocol === 'tel:') {
+        return /^\+?[\d\-() ]{5,}$/.test(decodeURIComponent(parsed.pathname)) ? null : `"${url}" is not a valid phone number`;
+    }
+
+    if (parsed.protocol === 'mailto:') {
+        return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(parsed.pathname) ? null : `"${url}" is not a valid email`;
+    }
+
+    return `"${url}" uses unsupported scheme ${parsed.protocol}`;
+}
+
+// <!-- ANCHOR: readJson -->
+/**
+ * Read and parse JSON file, reporting syntax errors
+ * @param {string} file - Absolute path
+ * @param {Function} report - Problem reporter
+ * @returns {Promise<Object|null>} Parsed data or null on error
+ */
+async function readJson(file, report) {
+    let text;
+
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        report(file, 1, 'File not found');
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // V8 messages include "position N" - convert to line number
+        const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+        const line = Number.isNaN(position) ? 1 : text.slice(0, position).split('\n').length;
+        report(file, line, `Invalid JSON: ${error.message}`);
+        return null;
+    }
+}
+
+// <!-- ANCHOR: findKeyLine -->
+/**
+ * Find line number of a top-level frontmatter key
+ * @param {string} content - project.md content
+ * @param {string} key - Frontmatter key
+ * @returns {number} 1-based line number (1 if not found)
+ */
+function findKeyLine(content, key) {
+    const lines = content.split('\n');
+    const pattern = new RegExp(`^["']?${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']?\\s*:`);
+    const index = lines.findIndex(line => pattern.test(line));
+
+    return index === -1 ? 1 : index + 1;
+}
+
+// <!-- ANCHOR: findFrontmatterEnd -->
+/**
+ * Find line of the closing frontmatter delimiter
+ * @param {string} content - project.md content
+ * @returns {number|null} 1-based line of closing ---, null without frontmatter
+ *
+ * WHY: A missing field belongs at the end of the frontmatter,
+ * not on line 1 where nothing is wrong.
+ */
+function findFrontmatterEnd(content) {
+    const lines = content.split(/\r?\n/);
+
+    if (lines[0].trim() !== '---') {
+        return null;
+    }
+
+    const index = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+
+    return index === -1 ? null : index + 1;
+}
+
+// <!-- ANCHOR: findLine -->
+/**
+ * Find line of next occurrence of text
+ * @param {string} text - Whole file
+ * @param {string} needle - Text to find
+ * @param {number} from - Start offset (to handle repeated values)
+ * @returns {Object} { line, index } - index is offset after match
+ */
+function findLine(text, needle, from) {
+    const index = text.indexOf(needle, from);
+
+    if (index === -1) {
+        return { line: 1, index: from };
+    }
+
+    return {
+        line: text.slice(0, index).split('\n').length,
+        index: index + needle.length
+    };
+}
+
+// <!-- ANCHOR: describe -->
+/**
+ * Describe value for error messages
+ * @param {*} value - Any value
+ * @returns {string} e.g. 'string "2025"', 'list', 'number 5'
+ */
+function describe(value) {
+    if (Array.isArray(value)) {
+        return 'list';
+    }
+
+    if (value === null) {
+        return 'null';
+    }
+
+    return typeof value === 'object' ? 'mapping' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+main().catch(error => {
+    console.error('Content lint failed:', error);
+    process.exitCode = 1;
+});
+
+// UPDATED COMMENTS
@@ -0,0 +1,138 @@
+// ==============================================
+// MOCK-CMS.MJS - Local headless CMS stand-in
+// Purpose: Serve assets/projects content as a JSON API for the "http" data source
+// Dependencies: Node 20+, scripts/lib/projects.mjs
+// Version: 1.1.0
+// Usage: node scripts/mock-cms.mjs [port]   (default 4000)
+// ==============================================
+
+// ## ANCHOR POINTS
+// ENTRY: main
+// DEPS: scripts/lib/projects.mjs, assets/js/shared/markdown.js, assets/js/shared/media.js
+
+import { createServer } from 'node:http';
+
+import { scanProjects } from './lib/projects.mjs';
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES } from '../assets/js/shared/markdown.js';
+import { normalizeMedia } from '../assets/js/shared/media.js';
+
+const DEFAULT_PORT = 4000;
+
+// <!-- ANCHOR: main -->
+/**
+ * Start mock CMS server
+ * @returns {void}
+ *
+ * LOGIC: GET /projects?locale=en returns { projects: [...] } in
+ * the JSON record shape (data/projects.json field names), read
+ * fresh from disk on every request. CORS is open so the site on
+ * another port can call it.
+ *
+ * WHY: Lets the "http" adapter be tested without a real CMS:
+ * set DATA_SOURCE = { type: 'http', url: 'http://localhost:4000/projects' }
+ * in assets/js/shared/config.js.
+ */
+function main() {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+
+    const server = createServer(async (request, response) => {
+        const url = new URL(request.url, `http://localhost:${port}`);
+
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', '*');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+
+        if (request.method !== 'GET' || url.pathname !== '/projects') {
+            sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        const locale = url.searchParams.get('locale') || DEFAULT_LOCALE;
+
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            sendJson(response, 400, { error: `Unsupported locale "${locale}"` });
+            return;
+        }
+
+        try {
+            const projects = await scanProjects();
+
+            sendJson(response, 200, {
+                projects: projects
+                    .filter(project => !project.error)
+                    .map(project => toRecord(project, locale)),
+                metadata: { lastUpdated: new Date().toISOString() }
+            });
+        } catch (error) {
+            console.error('Failed to read projects:', error);
+            sendJson(response, 500, { error: 'Failed to read projects' });
+        }
+    });
+
+    server.listen(port, () => {
+        console.log(`Mock CMS: http://localhost:${port}/projects?locale=${DEFAULT_LOCALE}`);
+    });
+}
+
+// <!-- ANCHOR: toRecord -->
+/**
+ * Convert scanned project to CMS record
+ * @param {Object} project - Entry from scanProjects()
+ * @param {string} locale - Requested language
+ * @returns {Object} Record with data/projects.json field names
+ *
+ * LOGIC: Carries every field the markdown source has - publishing
+ * (draft, publishAt, unlisted), related, summary and the resolved
+ * media list. A translation's own `media:` list (translated alt
+ * texts, captions) wins, resolved like the markdown adapter does.
+ */
+function toRecord(project, locale) {
+    const variant = project.variants.find(item => item.locale === locale && !item.error);
+    const metadata = variant ? { ...project.metadata, ...variant.metadata, id: project.metadata.id } : project.metadata;
+    const media = variant && Array.isArray(variant.metadata.media)
+        ? normalizeMedia(variant.metadata.media, {
+            baseUrl: `/assets/projects/${project.folder}/`,
+            known: [...project.images, ...project.media]
+        })
+        : project.media;
+
+    return {
+        id: metadata.id,
+        folder: project.folder,
+        locale: variant ? locale : DEFAULT_LOCALE,
+        title: metadata.title,
+        year: String(metadata.year),
+        tags: metadata.tags,
+        links: { live: metadata.link || '' },
+        featured: metadata.featured,
+        order: metadata.order,
+        related: metadata.related || [],
+        draft: metadata.draft === true,
+        publishAt: metadata.publishAt || null,
+        unlisted: metadata.unlisted === true,
+        summary: metadata.summary || '',
+        fullDescription: (variant && variant.body) || project.body,
+        images: project.images.map(({ src, width, height, sources, placeholder }) => ({ url: src, width, height, sources, placeholder })),
+        media
+    };
+}
+
+// <!-- ANCHOR: sendJson -->
+/**
+ * Send JSON response
+ * @param {ServerResponse} response - Node response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Body
+ */
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(data));
+}
+
+main();
+
+// UPDATED COMMENTS
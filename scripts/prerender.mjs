@@ -0,0 +1,285 @@
+// ==============================================
+// PRERENDER.MJS - Static HTML page per project
+// Purpose: Write projects/<id>/index.html with SEO head and case study inlined
+// Dependencies: Node 20+, scripts/lib/projects.mjs, shared/seo.js
+// Version: 1.4.0
+// Usage: node scripts/prerender.mjs [--site-url=https://example.com]
+// ==============================================
+
+// ## ANCHOR POINTS
+// ENTRY: main
+// DEPS: scripts/lib/projects.mjs, assets/js/shared/markdown.js, assets/js/shared/data-sources.js,
+//       assets/js/shared/publishing.js, assets/js/shared/seo.js, assets/js/shared/config.js,
+//       assets/js/shared/media.js
+
+import { readFile, writeFile, mkdir, rm } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+
+import { ROOT_DIR, scanProjects } from './lib/projects.mjs';
+import { renderMarkdown, DEFAULT_LOCALE } from '../assets/js/shared/markdown.js';
+import { normalizeProject } from '../assets/js/shared/data-sources.js';
+import { getPublishStatus, PUBLISH_STATUS } from '../assets/js/shared/publishing.js';
+import { getProjectMeta, renderMetaTags } from '../assets/js/shared/seo.js';
+import { SITE } from '../assets/js/shared/config.js';
+import { MEDIA_TYPES, IMAGE_SIZES, getImageSources } from '../assets/js/shared/media.js';
+import { escapeHTML } from '../assets/js/shared/utils.js';
+
+const TEMPLATE_PATH = join(ROOT_DIR, 'index.html');
+
+// Served at /projects/<id> - static file wins over the vercel.json rewrite
+const OUTPUT_DIR = join(ROOT_DIR, 'projects');
+
+// Template markers - index.html must keep these
+const LANDING_VIEW = '<div class="view" data-view="landing">';
+const PROJECT_VIEW = '<main class="view project-page" data-view="project" id="project-content" hidden></main>';
+
+// <!-- ANCHOR: main -->
+/**
+ * Prerender every published project
+ * @returns {Promise<void>}
+ *
+ * LOGIC: index.html is the template. Per project: head gets
+ * title, description, canonical, Open Graph/Twitter and JSON-LD
+ * (shared/seo.js - same tags the browser sets), the project view
+ * gets header, case study and gallery, the landing view is hidden.
+ * The app still boots on top and re-renders the view.
+ * Drafts and scheduled projects are skipped (re-run after publishAt),
+ * unlisted ones get noindex. Default language only - ?lang= pages
+ * are rendered by the browser.
+ *
+ * WHY: Crawlers and link preview bots (Telegram, Behance) don't run
+ * JS - without this they only see the generic index.html head.
+ */
+async function main() {
+    const origin = getSiteUrl();
+
+    if (!origin) {
+        console.error('Site URL is required for absolute canonical/og:url.');
+        console.error('Set SITE.url in assets/js/shared/config.js, SITE_URL env or pass --site-url=https://example.com');
+        process.exitCode = 1;
+        return;
+    }
+
+    const template = await readFile(TEMPLATE_PATH, 'utf8');
+    const scanned = await scanProjects();
+    const broken = scanned.filter(project => project.error);
+
+    if (broken.length > 0) {
+        broken.forEach(project => {
+            const file = relative(ROOT_DIR, project.markdownPath);
+            console.error(`${file}:${project.error.line || 1} ${project.error.reason || project.error.message}`);
+        });
+        process.exitCode = 1;
+        return;
+    }
+
+    // Removed/unpublished projects must not keep a stale page
+    await rm(OUTPUT_DIR, { recursive: true, force: true });
+
+    let written = 0;
+
+    for (const entry of scanned) {
+        const project = toProject(entry);
+
+        if (!project || getPublishStatus(project) !== PUBLISH_STATUS.published) {
+            continue;
+        }
+
+        const page = renderPage(template, project, getProjectMeta(project, origin));
+        const dir = join(OUTPUT_DIR, project.id);
+
+        await mkdir(dir, { recursive: true });
+        await writeFile(join(dir, 'index.html'), page);
+        written++;
+    }
+
+    console.log(`Prerendered ${written} projects into ${relative(ROOT_DIR, OUTPUT_DIR)}/ (${origin})`);
+}
+
+// <!-- ANCHOR: getSiteUrl -->
+/**
+ * Resolve production origin
+ * @returns {string} --site-url argument, SITE_URL env, SITE.url or the Vercel production domain ('' if none)
+ *
+ * LOGIC: VERCEL_PROJECT_PRODUCTION_URL is set by Vercel during
+ * every build (custom domain if assigned, host without scheme) -
+ * the deploy build (vercel.json buildCommand) works without config.
+ */
+function getSiteUrl() {
+    const arg = process.argv.find(item => item.startsWith('--site-url='));
+    const vercel = process.env.VERCEL_PROJECT_PRODUCTION_URL ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}` : '';
+    const url = arg ? arg.slice('--site-url='.length) : process.env.SITE_URL || SITE.url || vercel;
+
+    return (url || '').replace(/\/$/, '');
+}
+
+// <!-- ANCHOR: toProject -->
+/**
+ * Build normalized project from scanned folder
+ * @param {Object} entry - From scanProjects()
+ * @returns {Object|null} Project in the schema pages use, null without id
+ *
+ * LOGIC: Same steps as the markdown data source in the browser -
+ * renderMarkdown with folder base URL and manifest images, then
+ * normalizeProject. Media is the list the manifest gets.
+ */
+function toProject(entry) {
+    const images = entry.images.map(({ src, width, height, sources, placeholder }) => ({ src, width, height, sources, placeholder }));
+
+    return normalizeProject({
+        ...entry.metadata,
+        folder: entry.folder,
+        locale: DEFAULT_LOCALE,
+        description: entry.body,
+        html: renderMarkdown(entry.body, {
+            baseUrl: `/assets/projects/${entry.folder}/`,
+            images
+        }),
+        images,
+        media: entry.media
+    }, { locale: DEFAULT_LOCALE, source: 'prerender' });
+}
+
+// <!-- ANCHOR: renderPage -->
+/**
+ * Fill index.html template for one project
+ * @param {string} template - index.html content
+ * @param {Object} project - Normalized project
+ * @param {Object} meta - From getProjectMeta()
+ * @returns {string} Page HTML
+ * @throws {Error} If index.html no longer has the expected markers
+ */
+function renderPage(template, project, meta) {
+    let html = template;
+
+    html = replaceOnce(html, /\n\s*<meta name="description"[^>]*>/, '');
+    html = replaceOnce(html, /<title>[\s\S]*?<\/title>/, renderMetaTags(meta));
+    html = replaceOnce(html, LANDING_VIEW, LANDING_VIEW.replace('>', ' hidden>'));
+    // data-prerendered: app keeps this content on screen instead of a loading state
+    html = replaceOnce(html, PROJECT_VIEW, PROJECT_VIEW
+        .replace(' hidden>', ` data-prerendered="${escapeHTML(project.id)}">`)
+        .replace('</main>', `\n${renderProjectContent(project)}\n    </main>`));
+
+    return html;
+}
+
+// <!-- ANCHOR: renderProjectContent -->
+/**
+ * Static markup of the project view
+ * @param {Object} project - Normalized project
+ * @returns {string} Header, case study and gallery HTML
+ *
+ * LOGIC: Same classes as pages/project.js renders, so the page
+ * looks the same before the app takes over. Navigation and
+ * related strip are added by the app.
+ */
+function renderProjectContent(project) {
+    const tags = project.tags.length > 0
+        ? `<ul class="project-header__tags">${project.tags.map(tag => `<li class="project-header__tag text-nav">${escapeHTML(tag)}</li>`).join('')}</ul>`
+        : '';
+
+    const link = project.link
+        ? `<a class="project-header__link btn btn-outline text-button" href="${escapeHTML(project.link)}" target="_blank" rel="noopener noreferrer">Открыть проект ↗</a>`
+        : '';
+
+    const media = project.media.map((item, index) => renderMediaItem(project, item, index));
+
+    return [
+        '<header class="project-header">',
+        `<h1 class="project-header__title">${escapeHTML(project.title)}</h1>`,
+        `<div class="project-header__meta"><span class="project-header__year text-nav">${project.year}</span>${tags}</div>`,
+        link,
+        '</header>',
+        // html is safe - renderMarkdown escapes text and filters URLs
+        project.html ? `<article class="project-page__content markdown">${project.html}</article>` : '',
+        media.length > 0 ? `<div class="project-gallery">${media.join('')}</div>` : ''
+    ].filter(Boolean).map(line => `        ${line}`).join('\n');
+}
+
+// <!-- ANCHOR: renderMediaItem -->
+/**
+ * Static markup of one gallery entry
+ * @param {Object} project - Normalized project
+ * @param {Object} item - Media entry
+ * @param {number} index - Position in gallery
+ * @returns {string} <figure> HTML - same as components/media.js creates
+ */
+function renderMediaItem(project, item, index) {
+    const size = item.width && item.height ? ` width="${item.width}" height="${item.height}"` : '';
+    const label = escapeHTML(item.alt || `${project.title} - ${index + 1}`);
+    const loading = index === 0 ? 'eager' : 'lazy';
+    const src = escapeHTML(item.src);
+    let content;
+
+    if (item.type === MEDIA_TYPES.video) {
+        const poster = item.poster ? ` poster="${escapeHTML(item.poster)}"` : '';
+        content = `<video src="${src}"${poster}${size} autoplay muted loop playsinline preload="${index === 0 ? 'auto' : 'metadata'}" aria-label="${label}" data-cursor="hidden"></video>`;
+    } else if (item.type === MEDIA_TYPES.embed) {
+        content = `<div class="media-item__embed" style="aspect-ratio: ${item.ratio}" data-cursor="hidden"><iframe src="${src}" title="${label}" loading="${loading}" allow="autoplay; fullscreen; picture-in-picture; clipboard-write" allowfullscreen referrerpolicy="strict-origin-when-cross-origin"></iframe></div>`;
+    } else {
+        const sources = getImageSources(item)
+            .map(({ type, srcset }) => `<source type="${type}" srcset="${escapeHTML(srcset)}" sizes="${IMAGE_SIZES.page}">`)
+            .join('');
+        const img = `<img src="${src}"${size} alt="${label}" loading="${loading}">`;
+        content = `<div class="media-item__frame${item.placeholder ? ' media-placeholder' : ''}"${renderFrameStyle(item)}>${sources ? `<picture>${sources}${img}</picture>` : img}</div>`;
+    }
+
+    const caption = item.caption ? `<figcaption class="media-item__caption">${escapeHTML(item.caption)}</figcaption>` : '';
+
+    return `<figure class="project-gallery__item media-item media-item--${item.type}">${content}${caption}</figure>`;
+}
+
+// <!-- ANCHOR: renderFrameStyle -->
+/**
+ * Inline style of an image frame
+ * @param {Object} item - Image media entry
+ * @returns {string} ' style="..."' or ''
+ *
+ * LOGIC: Same ratio and placeholder as components/media.js
+ * setPlaceholder(), without the fade - static images show as they
+ * load over the blurred placeholder. Placeholder values are
+ * validated by normalizePlaceholder().
+ */
+function renderFrameStyle(item) {
+    const rules = [];
+
+    if (item.width && item.height) {
+        rules.push(`aspect-ratio: ${item.width} / ${item.height}`);
+    }
+
+    if (item.placeholder?.color) {
+        rules.push(`background-color: ${item.placeholder.color}`);
+    }
+
+    if (item.placeholder?.src) {
+        rules.push(`--placeholder-image: url('${item.placeholder.src}')`);
+    }
+
+    return rules.length > 0 ? ` style="${escapeHTML(rules.join('; '))}"` : '';
+}
+
+// <!-- ANCHOR: replaceOnce -->
+/**
+ * Replace pattern that must exist in template
+ * @param {string} text - Source
+ * @param {string|RegExp} pattern - What to replace
+ * @param {string} replacement - Replacement text (no $ patterns)
+ * @returns {string} Result
+ * @throws {Error} If pattern is missing
+ */
+function replaceOnce(text, pattern, replacement) {
+    const found = typeof pattern === 'string' ? text.includes(pattern) : pattern.test(text);
+
+    if (!found) {
+        throw new Error(`index.html has no ${pattern} - update prerender markers`);
+    }
+
+    return text.replace(pattern, () => replacement);
+}
+
+main().catch(error => {
+    console.error('Failed to prerender:', error);
+    process.exitCode = 1;
+});
+
+// UPDATED COMMENTS